@@ -0,0 +1,178 @@
+/**
+ * Catalog Events - Live deck updates from ContentPassFactory logs
+ * Watches the factory's transfer, price, version and content events and
+ * reloads only the decks they touch, in memory and in the deck cache
+ */
+
+// Events the catalog reacts to, taken from the shared factory ABI
+// Factory logs that do not match one of these are still mapped to a deck
+// through their first indexed topic (the content ID on every factory event)
+const CATALOG_EVENT_NAMES = ['TransferSingle', 'TransferBatch', 'ContentCreated', 'PriceUpdated', 'VersionUpdated'];
+const CATALOG_EVENT_ABI = ContractDefinition.getFactoryAbi()
+    .filter(item => item.type === 'event' && CATALOG_EVENT_NAMES.includes(item.name));
+
+const CATALOG_EVENT_DEBOUNCE = 250; // ms; logs from one poll are applied together
+const MAX_TOPIC_CONTENT_ID = 2 ** 32; // Larger topics are addresses or hashes, not content IDs
+
+/**
+ * Map a log to the decks it affects
+ * @returns {{ contentIds: number[], reloadManifest: boolean, parties: string[] }}
+ */
+function describeCatalogLog(iface, log) {
+    let event = null;
+    try {
+        event = iface.parseLog(log);
+    } catch (error) {
+        // Not one of the known signatures
+    }
+
+    switch (event?.name) {
+        case 'TransferSingle':
+            return {
+                contentIds: [Number(event.args.id.toString())],
+                reloadManifest: false,
+                parties: [event.args.from, event.args.to]
+            };
+        case 'TransferBatch':
+            return {
+                contentIds: event.args.ids.map(id => Number(id.toString())),
+                reloadManifest: false,
+                parties: [event.args.from, event.args.to]
+            };
+        case 'ContentCreated':
+        case 'VersionUpdated':
+            return { contentIds: [Number(event.args.contentId.toString())], reloadManifest: true, parties: [] };
+        case 'PriceUpdated':
+            return { contentIds: [Number(event.args.contentId.toString())], reloadManifest: false, parties: [] };
+    }
+
+    if (log.topics.length > 1) {
+        const id = BigInt(log.topics[1]);
+        if (id > 0n && id < BigInt(MAX_TOPIC_CONTENT_ID)) {
+            return { contentIds: [Number(id)], reloadManifest: true, parties: [] };
+        }
+    }
+    return { contentIds: [], reloadManifest: false, parties: [] };
+}
+
+/**
+ * Watch the factory for changes to the catalog
+ * @param {object} contract - ethers contract instance (its provider is polled for logs)
+ * @param {object[]} decks - Decks currently shown
+ * @param {object} options
+ * @param {string} options.account - Also track this account's pass balances
+ * @param {function} options.onChange - Called as ({ decks, updated, balances }) after decks change
+ * @returns {{ stop: function, setDecks: function }}
+ */
+function watchCatalog(contract, decks, options = {}) {
+    const { account = null, onChange = null } = options;
+    const provider = contract.provider;
+
+    if (!provider || typeof provider.on !== 'function') {
+        console.warn('⚠ Contract has no provider, live catalog updates disabled');
+        return { stop() {}, setDecks() {} };
+    }
+
+    const iface = new window.ethers.utils.Interface(CATALOG_EVENT_ABI);
+    const filter = { address: contract.address };
+    const isAccount = address => !!account && address?.toLowerCase() === account.toLowerCase();
+
+    let current = new Map(decks.map(deck => [deck.contentId, deck]));
+    let pending = new Map(); // contentId -> reloadManifest
+    let pendingBalances = new Set();
+    let flushTimer = null;
+    let flushing = Promise.resolve();
+    let stopped = false;
+
+    async function reloadDeck(contentId, reloadManifest) {
+        if (!current.has(contentId) && !(await ContentLoader.contentExists(contract, contentId))) {
+            return null;
+        }
+
+        // Reuse cached manifest fields unless the event may have changed the manifest
+        const cached = reloadManifest ? null : await DeckCache.getDeck(contentId).catch(() => null);
+        return await ContentLoader.loadDeck(contract, contentId, cached?.metadata || null);
+    }
+
+    async function flush() {
+        const batch = pending;
+        const balanceIds = [...pendingBalances];
+        pending = new Map();
+        pendingBalances = new Set();
+
+        const updated = [];
+        for (const [contentId, reloadManifest] of batch) {
+            const deck = await reloadDeck(contentId, reloadManifest);
+            if (deck && !stopped) {
+                current.set(contentId, deck);
+                updated.push(deck);
+            }
+        }
+
+        let balances = null;
+        if (account && balanceIds.length) {
+            balances = await ContentLoader.loadBalances(contract, account, balanceIds.map(contentId => ({ contentId })), false);
+        }
+
+        if (stopped || (updated.length === 0 && !balances)) return;
+
+        try {
+            await DeckCache.putDecks(updated);
+            const catalog = await DeckCache.getCatalog();
+            const ids = new Set(catalog?.contentIds || []);
+            if (updated.some(deck => !ids.has(deck.contentId))) {
+                await DeckCache.putCatalog([...current.keys()].sort((a, b) => a - b));
+            }
+        } catch (error) {
+            console.warn('❌ Cache write error:', error);
+        }
+
+        console.log(`🔔 Catalog updated from events: decks ${updated.map(deck => deck.contentId).join(', ') || 'none'}`);
+        if (onChange) {
+            onChange({
+                decks: [...current.values()].sort((a, b) => a.contentId - b.contentId),
+                updated: updated.map(deck => deck.contentId),
+                balances
+            });
+        }
+    }
+
+    function listener(log) {
+        const { contentIds, reloadManifest, parties } = describeCatalogLog(iface, log);
+        if (contentIds.length === 0) return;
+
+        contentIds.forEach(id => pending.set(id, pending.get(id) || reloadManifest));
+        if (parties.some(isAccount)) {
+            contentIds.forEach(id => pendingBalances.add(id));
+        }
+
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(() => {
+            flushing = flushing.then(flush).catch(error => console.warn('❌ Catalog event handling failed:', error));
+        }, CATALOG_EVENT_DEBOUNCE);
+    }
+
+    provider.on(filter, listener);
+    console.log(`👂 Watching catalog events on ${contract.address}`);
+
+    return {
+        stop() {
+            stopped = true;
+            clearTimeout(flushTimer);
+            provider.off(filter, listener);
+        },
+
+        /** Replace the tracked decks, e.g. after a full reload */
+        setDecks(decks) {
+            current = new Map(decks.map(deck => [deck.contentId, deck]));
+        }
+    };
+}
+
+// Export functions for use in HTML files
+if (typeof window !== 'undefined') {
+    window.CatalogEvents = {
+        watch: watchCatalog,
+        EVENT_ABI: CATALOG_EVENT_ABI
+    };
+}
@@ -0,0 +1,252 @@
+/**
+ * Tesserarx Configuration
+ * Network registry: endpoints, chain ID, currency, explorer and factory address per network.
+ * Endpoints are listed in order of preference; the app fails over to the next one when one is down.
+ * Load before the Tesserarx bundle. The active network is chosen at runtime:
+ * ?network=<id> in the URL, then the last network chosen, then DEFAULT_NETWORK.
+ * Networks marked factoryOverride (the local dev node) take their factory address at
+ * runtime: ?factory=<address> in the URL, remembered in this browser.
+ */
+
+const NETWORK_STORAGE_KEY = 'tesserarx_network';
+const FACTORY_STORAGE_KEY = 'tesserarx_factory_overrides';
+const DEFAULT_NETWORK = 'moonbase-alpha';
+
+// Set factoryAddress once ContentPassFactoryV2 is deployed to a network;
+// networks without one are listed but cannot be selected.
+// factoryOverride: every dev node deploys its own factory, so its address is set at runtime
+// verifierUrl: sign-in verifier for gated content (npm run verifier serves one locally)
+const NETWORKS = {
+    'moonbase-alpha': {
+        id: 'moonbase-alpha',
+        name: 'Moonbase Alpha',
+        shortName: 'Moonbase',
+        testnet: true,
+        chainId: 1287,
+        currency: { name: 'DEV', symbol: 'DEV', decimals: 18 },
+        rpcUrls: [
+            'https://rpc.api.moonbase.moonbeam.network',
+            'https://moonbase-alpha.public.blastapi.io',
+            'https://moonbeam-alpha.api.onfinality.io/public'
+        ],
+        wsUrls: [
+            'wss://wss.api.moonbase.moonbeam.network',
+            'wss://moonbase-alpha.public.blastapi.io',
+            'wss://moonbeam-alpha.api.onfinality.io/public-ws'
+        ],
+        explorerUrl: 'https://moonbase.moonscan.io/',
+        factoryAddress: '0xBFF26E227Cb5fb0Feb0D18250C0a655A6066C865', // V2.1
+        verifierUrl: null
+    },
+    'moonbeam': {
+        id: 'moonbeam',
+        name: 'Moonbeam',
+        shortName: 'Moonbeam',
+        testnet: false,
+        chainId: 1284,
+        currency: { name: 'Glimmer', symbol: 'GLMR', decimals: 18 },
+        rpcUrls: [
+            'https://rpc.api.moonbeam.network',
+            'https://moonbeam.public.blastapi.io',
+            'https://moonbeam-rpc.dwellir.com'
+        ],
+        wsUrls: [
+            'wss://wss.api.moonbeam.network',
+            'wss://moonbeam.public.blastapi.io',
+            'wss://moonbeam-rpc.dwellir.com'
+        ],
+        explorerUrl: 'https://moonscan.io/',
+        factoryAddress: null,
+        verifierUrl: null
+    },
+    'moonriver': {
+        id: 'moonriver',
+        name: 'Moonriver',
+        shortName: 'Moonriver',
+        testnet: false,
+        chainId: 1285,
+        currency: { name: 'Moonriver', symbol: 'MOVR', decimals: 18 },
+        rpcUrls: [
+            'https://rpc.api.moonriver.moonbeam.network',
+            'https://moonriver.public.blastapi.io'
+        ],
+        wsUrls: [
+            'wss://wss.api.moonriver.moonbeam.network',
+            'wss://moonriver.public.blastapi.io'
+        ],
+        explorerUrl: 'https://moonriver.moonscan.io/',
+        factoryAddress: null,
+        verifierUrl: null
+    },
+    'local': {
+        id: 'local',
+        name: 'Local Dev Node',
+        shortName: 'Local',
+        testnet: true,
+        chainId: 1281, // moonbeam --dev
+        currency: { name: 'DEV', symbol: 'DEV', decimals: 18 },
+        rpcUrls: ['http://127.0.0.1:9944'],
+        wsUrls: ['ws://127.0.0.1:9944'],
+        explorerUrl: null,
+        factoryAddress: null, // ?network=local&factory=<address>
+        factoryOverride: true,
+        verifierUrl: 'http://127.0.0.1:8787'
+    }
+};
+
+/**
+ * Get a network by ID
+ */
+function getNetwork(id) {
+    return NETWORKS[id] || null;
+}
+
+function listNetworks() {
+    return Object.values(NETWORKS);
+}
+
+function isNetworkAvailable(network) {
+    return !!network?.factoryAddress;
+}
+
+function loadFactoryOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(FACTORY_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Set or clear (null) the factory address of a network marked factoryOverride
+ * The address is remembered in this browser and applied on every page load
+ * @returns {object} The network
+ */
+function setFactoryOverride(id, address) {
+    const network = getNetwork(id);
+    if (!network?.factoryOverride) {
+        throw new Error(`The factory address of ${network?.name || id} cannot be overridden`);
+    }
+    if (address !== null && !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new Error(`Invalid factory address: ${address}`);
+    }
+
+    const overrides = loadFactoryOverrides();
+    if (address) {
+        overrides[id] = address;
+    } else {
+        delete overrides[id];
+    }
+    localStorage.setItem(FACTORY_STORAGE_KEY, JSON.stringify(overrides));
+    network.factoryAddress = address;
+    return network;
+}
+
+/**
+ * Apply remembered factory addresses, then a ?factory= parameter for the requested
+ * (or last chosen) network
+ */
+function applyFactoryOverrides() {
+    const overrides = loadFactoryOverrides();
+    Object.entries(overrides).forEach(([id, address]) => {
+        const network = getNetwork(id);
+        if (network?.factoryOverride) network.factoryAddress = address;
+    });
+
+    const params = new URLSearchParams(window.location.search);
+    const factory = params.get('factory');
+    if (!factory) return;
+
+    const id = params.get('network') || localStorage.getItem(NETWORK_STORAGE_KEY);
+    try {
+        setFactoryOverride(id, factory);
+        console.log(`🏭 Using factory ${factory} on ${getNetwork(id).name}`);
+    } catch (error) {
+        console.warn(`⚠ Ignoring ?factory=: ${error.message}`);
+    }
+}
+
+applyFactoryOverrides();
+
+/**
+ * Resolve the network for this page load
+ * A ?network= parameter is remembered, so the choice survives navigation
+ */
+function resolveActiveNetworkId() {
+    const requested = new URLSearchParams(window.location.search).get('network');
+    if (requested) {
+        if (isNetworkAvailable(getNetwork(requested))) {
+            localStorage.setItem(NETWORK_STORAGE_KEY, requested);
+            return requested;
+        }
+        console.warn(`⚠ Network "${requested}" is unknown or has no factory address, ignoring`);
+    }
+
+    const saved = localStorage.getItem(NETWORK_STORAGE_KEY);
+    return isNetworkAvailable(getNetwork(saved)) ? saved : DEFAULT_NETWORK;
+}
+
+let activeNetworkId = resolveActiveNetworkId();
+
+function getActiveNetworkId() {
+    return activeNetworkId;
+}
+
+function getActiveNetwork() {
+    return getNetwork(activeNetworkId);
+}
+
+/**
+ * Make a network the active one and remember it
+ * Use walletManager.switchNetwork() to also reconnect
+ * @returns {object} The network
+ */
+function setActiveNetwork(id) {
+    const network = getNetwork(id);
+    if (!network) {
+        throw new Error(`Unknown network: ${id}`);
+    }
+    if (!isNetworkAvailable(network)) {
+        throw new Error(`No Tesserarx factory is configured for ${network.name}`);
+    }
+    activeNetworkId = id;
+    localStorage.setItem(NETWORK_STORAGE_KEY, id);
+
+    // A ?network= parameter would override the choice on the next load; ?factory= is already remembered
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('network') || url.searchParams.has('factory')) {
+        url.searchParams.delete('network');
+        url.searchParams.delete('factory');
+        history.replaceState(history.state, '', url);
+    }
+    return network;
+}
+
+/**
+ * Chain parameters for wallet_addEthereumChain / wallet_switchEthereumChain (EIP-3085)
+ */
+function toChainParams(network) {
+    return {
+        chainId: '0x' + network.chainId.toString(16),
+        chainName: network.name,
+        nativeCurrency: network.currency,
+        rpcUrls: network.rpcUrls,
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : []
+    };
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.TesserarxConfig = {
+        NETWORKS,
+        DEFAULT_NETWORK,
+        getNetwork,
+        listNetworks,
+        isNetworkAvailable,
+        getActiveNetworkId,
+        getActiveNetwork,
+        setActiveNetwork,
+        setFactoryOverride,
+        toChainParams
+    };
+}
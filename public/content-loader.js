@@ -3,46 +3,64 @@
  * Fetches deck metadata from blockchain contract and manifest URIs
  */
 
-// Known content IDs - Active decks only (excluding legacy decks 3, 4)
-const KNOWN_CONTENT_IDS = [1, 2, 5, 6];
+// Content discovery - the factory assigns content IDs sequentially from 1
+const FIRST_CONTENT_ID = 1;
+const MAX_CONTENT_PROBE = 1000; // Safety cap on sequential ID probing
+const PROBE_RETRIES = 2;         // Extra attempts for a probe that fails on RPC errors (timeouts, 429s)
+const PROBE_RETRY_DELAY = 500;   // ms before the first retry, doubled for each further one
 
-// Cache configuration
-const CACHE_KEY_PREFIX = 'tesserarx_deck_cache';
-const CACHE_TTL = 3600000; // 1 hour
+// Loading configuration
+const DEFAULT_CONCURRENCY = 4; // Decks loaded in parallel
 
-/**
- * Get cache key for a specific wallet address
- * Returns a wallet-specific cache key or global key if no address provided
- */
-function getCacheKey(walletAddress = null) {
-    if (walletAddress) {
-        // Normalize address to lowercase for consistency
-        return `${CACHE_KEY_PREFIX}_${walletAddress.toLowerCase()}`;
-    }
-    return CACHE_KEY_PREFIX;
-}
+// Version history configuration
+const MAX_VERSION_PROBE = 100; // Safety cap when the contract has no version count
+const VERSION_PIN_KEY = 'tesserarx_version_pins';
+const VERSION_URI_FIELDS = ['payloadURI', 'specificationURI', 'manifestURI'];
+
+// Catalog query defaults (omitted from the URL)
+const DEFAULT_DECK_QUERY = {
+    text: '',
+    tradition: [],
+    license: [],
+    free: null,          // true = free only, false = paid only, null = both
+    legacy: 'exclude',   // 'exclude' | 'include' | 'only'
+    minPrice: null,      // Native currency (DEV on Moonbase), as a decimal string
+    maxPrice: null,
+    minRemaining: null,  // Minimum passes left; unlimited supply always matches
+    sort: 'id'
+};
+
+const DECK_QUERY_PARAMS = ['q', 'tradition', 'license', 'free', 'legacy', 'minPrice', 'maxPrice', 'minRemaining', 'sort'];
+
+// Comparators for queryDecks sort option
+const DECK_SORTS = {
+    'id': (a, b) => a.contentId - b.contentId,
+    'newest': (a, b) => b.contentId - a.contentId,
+    'name': (a, b) => a.name.localeCompare(b.name),
+    'year': (a, b) => (parseInt(a.year, 10) || 0) - (parseInt(b.year, 10) || 0),
+    'price-asc': (a, b) => (a.priceWei < b.priceWei ? -1 : a.priceWei > b.priceWei ? 1 : 0),
+    'price-desc': (a, b) => (a.priceWei > b.priceWei ? -1 : a.priceWei < b.priceWei ? 1 : 0),
+    'remaining': (a, b) => remainingSupply(b) - remainingSupply(a)
+};
+
+// In-flight background revalidation, shared by concurrent callers
+let deckRevalidation = null;
 
 /**
- * Resolve URI (IPFS or HTTP)
+ * Resolve URI (IPFS, IPNS, Arweave or HTTP) to the preferred gateway URL
+ * See gateway-resolver.js for the full ordered candidate list
  */
 function resolveURI(uri) {
     if (!uri) return '';
-    if (uri.startsWith('ipfs://')) {
-        return `https://ipfs.io/ipfs/${uri.slice(7)}`;
-    }
-    return uri;
+    return GatewayResolver.resolveURLs(uri)[0];
 }
 
 /**
- * Fetch manifest JSON from URI
+ * Fetch manifest JSON from URI, failing over between gateways
  */
 async function fetchManifest(uri) {
     try {
-        const response = await fetch(resolveURI(uri));
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        return await response.json();
+        return await GatewayResolver.fetchJSON(uri);
     } catch (error) {
         console.warn('Failed to fetch manifest:', uri, error);
         return null;
@@ -65,6 +83,133 @@ function isLegacy(manifest) {
     return getAttribute(manifest, 'Edition') === 'Legacy';
 }
 
+/**
+ * Local metadata fallback path for a content ID
+ */
+function getLocalManifestPath(contentId) {
+    return `metadata/deck-${contentId}-manifest.json`;
+}
+
+/**
+ * Check if a contract call failed because the content does not exist
+ * (a revert), as opposed to a network or provider failure
+ */
+function isMissingContentError(error) {
+    if (error?.code === 'CALL_EXCEPTION') return true;
+    const message = (error?.reason || error?.message || '').toLowerCase();
+    return message.includes('revert') || message.includes('does not exist') || message.includes('invalid content');
+}
+
+const readContracts = new WeakMap();
+
+/**
+ * Read through the contract's provider instead of its signer
+ * Signer calls carry a `from`, which keeps them out of Multicall batches
+ */
+function readContract(contract) {
+    if (!contract?.signer || !contract.provider || typeof contract.connect !== 'function') {
+        return contract;
+    }
+    if (!readContracts.has(contract)) {
+        readContracts.set(contract, contract.connect(contract.provider));
+    }
+    return readContracts.get(contract);
+}
+
+/**
+ * Wrap a function taking the contract first so it reads through readContract()
+ */
+function withReadContract(fn) {
+    return (contract, ...args) => fn(readContract(contract), ...args);
+}
+
+/**
+ * Check whether a content ID is registered on the contract
+ * Unregistered IDs either revert or return an empty creator address;
+ * RPC failures are retried, then rethrown
+ */
+async function contentExists(contract, contentId) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const info = await contract.getContentInfo(contentId);
+            return !!info?.creator && !/^0x0{40}$/i.test(info.creator);
+        } catch (error) {
+            if (isMissingContentError(error)) return false;
+            if (attempt >= PROBE_RETRIES) throw error;
+            console.warn(`⚠ Probe for content ${contentId} failed, retrying:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, PROBE_RETRY_DELAY * 2 ** attempt));
+        }
+    }
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Results keep the order of the input items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Probe content IDs upward from the first one in windows of `concurrency` IDs,
+ * stopping at the first unregistered ID
+ * A probe that still fails after its retries also stops discovery: the IDs found so far
+ * are returned with complete: false. Fails only if not even the first ID could be probed.
+ * @returns {Promise<{ ids: number[], complete: boolean }>}
+ */
+async function discoverContent(contract, concurrency = DEFAULT_CONCURRENCY) {
+    const ids = [];
+    const lastId = FIRST_CONTENT_ID + MAX_CONTENT_PROBE;
+
+    for (let start = FIRST_CONTENT_ID; start < lastId; start += concurrency) {
+        const batch = [];
+        for (let id = start; id < Math.min(start + concurrency, lastId); id++) {
+            batch.push(id);
+        }
+
+        const probes = await Promise.allSettled(batch.map(id => contentExists(contract, id)));
+        for (const [i, id] of batch.entries()) {
+            const { status, value, reason } = probes[i];
+            if (status === 'rejected') {
+                if (ids.length === 0) throw reason;
+                console.warn(`⚠ Content discovery stopped at ID ${id}; listing the ${ids.length} decks found so far:`, reason);
+                return { ids, complete: false };
+            }
+            if (!value) {
+                console.log(`🔎 Discovered ${ids.length} content IDs on contract:`, ids);
+                return { ids, complete: true };
+            }
+            ids.push(id);
+        }
+    }
+
+    console.log(`🔎 Discovered ${ids.length} content IDs on contract:`, ids);
+    return { ids, complete: true };
+}
+
+/**
+ * Discover all content IDs registered on the contract
+ * @param {object} contract - The contract instance
+ * @param {number} concurrency - IDs probed in parallel per window
+ * @returns {Promise<number[]>} Registered content IDs, including legacy editions; when an RPC
+ *   failure interrupts discovery, the IDs found up to that point
+ */
+async function discoverContentIds(contract, concurrency = DEFAULT_CONCURRENCY) {
+    return (await discoverContent(contract, concurrency)).ids;
+}
+
 /**
  * Parse manifest + contract data into unified deck object
  */
@@ -93,73 +238,91 @@ function parseDeckData(contentId, contractInfo, manifest) {
         maxSupply,
         totalMinted,
         price: ethers.utils.formatEther(price),
-        priceWei: price,
+        priceWei: BigInt(price.toString()),
         free: contractInfo.isFree !== undefined ? contractInfo.isFree : price.isZero(),
         legacy: isLegacy(manifest),
         external_url: manifest?.external_url || ''
     };
 }
 
+/**
+ * Fetch and validate a deck manifest (with fallback to local metadata)
+ * @returns {Promise<{ manifest: object|null, validation: object }>}
+ */
+async function loadDeckManifest(contentId, manifestURI) {
+    let manifest;
+    const fallbackURI = getLocalManifestPath(contentId);
+
+    if (!manifestURI || manifestURI === '' || manifestURI === '0x') {
+        // Fallback: load from local metadata folder
+        console.log(`No on-chain manifestURI for content ${contentId}, using fallback: ${fallbackURI}`);
+        manifest = await fetchManifest(fallbackURI);
+    } else {
+        manifest = await fetchManifest(manifestURI);
+        // If IPFS/remote fetch fails, try fallback
+        if (!manifest) {
+            console.log(`Remote manifest failed for ${contentId}, trying local fallback`);
+            manifest = await fetchManifest(fallbackURI);
+        }
+    }
+
+    // Validate manifest so problems surface instead of becoming empty fields
+    const validation = manifest
+        ? TDPValidator.validateDeckManifest(manifest)
+        : { valid: false, errors: [{ path: '$', code: 'missing', message: 'Manifest could not be fetched' }], warnings: [] };
+    if (!validation.valid) {
+        console.warn(`⚠ Manifest for deck ${contentId} has ${validation.errors.length} issue(s):`, validation.errors);
+    }
+
+    return { manifest, validation };
+}
+
 /**
  * Load single deck from contract + manifest
+ * @param {object} contract - The contract instance
+ * @param {number} contentId - Content ID to load
+ * @param {object} cachedMetadata - Cached manifest-derived fields, reused instead of
+ *   refetching the manifest while the on-chain manifestURI is unchanged
  */
-async function loadDeck(contract, contentId) {
+async function loadDeck(contract, contentId, cachedMetadata = null) {
     try {
         console.log(`📥 Loading deck ${contentId}...`);
 
-        // Fetch contract data
-        // Contract returns: creator, name, maxSupply, totalMinted, activeVersionIndex, price
-        const info = await contract.getContentInfo(contentId);
+        // Fetch contract data in parallel
+        // getContentInfo differs between factory versions; normalize to the V2.1 shape
+        const [info, version] = await Promise.all([
+            contract.getContentInfo(contentId).then(ContractDefinition.normalizeContentInfo),
+            contract.getActiveVersion(contentId)
+        ]);
         console.log(`✓ Got info for deck ${contentId}:`, {
             name: info.name,
             creator: info.creator.slice(0, 8) + '...',
             maxSupply: info.maxSupply.toString(),
-            totalMinted: info.totalMinted.toString(),
-            price: window.ethers.utils.formatEther(info.price) + ' DEV'
+            currentSupply: info.currentSupply.toString(),
+            price: window.ethers.utils.formatEther(info.price)
         });
-
-        const version = await contract.getActiveVersion(contentId);
         console.log(`✓ Got version for deck ${contentId}, manifestURI:`, version.manifestURI);
 
-        // Fetch manifest (with fallback to local metadata)
-        let manifest;
-
-        // Map content IDs to local metadata files
-        const metadataMap = {
-            1: 'metadata/deck-1-manifest.json', // Waite-Smith Rider
-            2: 'metadata/deck-2-manifest.json', // Tarot de Marseille
-            5: 'metadata/deck-5-manifest.json', // Anecdotes Tarot
-            6: 'metadata/deck-6-manifest.json'  // Clown Town Tarot
+        const contractInfo = {
+            name: info.name,
+            creator: info.creator,
+            isFree: info.isFree,
+            price: info.price,
+            maxSupply: info.maxSupply,
+            currentSupply: info.currentSupply
         };
 
-        if (!version.manifestURI || version.manifestURI === '' || version.manifestURI === '0x') {
-            // Fallback: load from local metadata folder
-            const fallbackURI = metadataMap[contentId];
-            if (fallbackURI) {
-                console.log(`No on-chain manifestURI for content ${contentId}, using fallback: ${fallbackURI}`);
-                manifest = await fetchManifest(fallbackURI);
-            } else {
-                console.warn(`No fallback metadata for content ${contentId}`);
-            }
-        } else {
-            manifest = await fetchManifest(version.manifestURI);
-            // If IPFS/remote fetch fails, try fallback
-            if (!manifest && metadataMap[contentId]) {
-                console.log(`Remote manifest failed for ${contentId}, trying local fallback`);
-                manifest = await fetchManifest(metadataMap[contentId]);
-            }
+        if (cachedMetadata && cachedMetadata.manifestURI === version.manifestURI) {
+            console.log(`✓ Deck ${contentId} manifest unchanged, reusing cached metadata`);
+            return { ...parseDeckData(contentId, contractInfo, null), ...cachedMetadata };
         }
 
+        const { manifest, validation } = await loadDeckManifest(contentId, version.manifestURI);
+
         // Parse combined data
-        // Contract fields: creator, name, maxSupply, totalMinted, activeVersionIndex, price
-        const deck = parseDeckData(contentId, {
-            name: info.name,
-            creator: info.creator,
-            isFree: info.price.isZero(), // Check if price is 0
-            price: info.price,
-            maxSupply: info.maxSupply,
-            currentSupply: info.totalMinted // Contract calls it totalMinted
-        }, manifest);
+        const deck = parseDeckData(contentId, contractInfo, manifest);
+        deck.manifestURI = version.manifestURI;
+        deck.issues = validation.errors;
 
         console.log(`✓ Deck ${contentId} loaded:`, deck.name);
         return deck;
@@ -170,84 +333,210 @@ async function loadDeck(contract, contentId) {
 }
 
 /**
- * Load all known decks
- * @param {object} contract - The contract instance
- * @param {boolean} useCache - Whether to use cached data
- * @param {string} walletAddress - Optional wallet address for cache scoping
+ * Drop legacy editions unless explicitly requested
  */
-async function loadAllDecks(contract, useCache = true, walletAddress = null) {
-    const cacheKey = getCacheKey(walletAddress);
+function filterLegacy(decks, includeLegacy) {
+    return includeLegacy ? decks : decks.filter(deck => !deck.legacy);
+}
 
-    // Check cache
-    if (useCache) {
-        const cached = localStorage.getItem(cacheKey);
-        if (cached) {
+/**
+ * Read every cached deck for the cached catalog
+ * @returns {Promise<{ decks: object[], fresh: boolean, metadata: Map<number, object> } | null>}
+ *   null when any deck is missing from the cache
+ */
+async function readCachedDecks() {
+    try {
+        const catalog = await DeckCache.getCatalog();
+        if (!catalog) return null;
+
+        const entries = await Promise.all(catalog.contentIds.map(id => DeckCache.getDeck(id)));
+        const metadata = new Map();
+        let fresh = catalog.fresh;
+
+        for (const [i, entry] of entries.entries()) {
+            if (!entry?.deck) return null;
+            fresh = fresh && entry.fresh.metadata && entry.fresh.market;
+            if (entry.fresh.metadata) {
+                metadata.set(catalog.contentIds[i], entry.metadata);
+            }
+        }
+
+        return { decks: entries.map(entry => entry.deck), fresh, metadata };
+    } catch (error) {
+        console.warn('❌ Cache read error:', error);
+        return null;
+    }
+}
+
+/**
+ * Load decks from the contract and write them to the cache
+ * @param {Map<number, object>} cachedMetadata - Fresh cached metadata by content ID
+ */
+async function fetchDecks(contract, { concurrency, onProgress, includeLegacy }, cachedMetadata = new Map()) {
+    // Discover content on the contract, then load each deck
+    const { ids: contentIds, complete } = await discoverContent(contract, concurrency);
+    console.log(`🔄 Loading ${contentIds.length} decks from contract (concurrency ${concurrency}):`, contentIds);
+    let loaded = 0;
+
+    const failed = [];
+
+    const results = await mapWithConcurrency(contentIds, concurrency, async (id) => {
+        let deck = await loadDeck(contract, id, cachedMetadata.get(id));
+        if (!deck) {
+            // A transient RPC or gateway failure should not drop the deck: serve the cached copy
+            failed.push(id);
+            deck = await DeckCache.getDeck(id).then(entry => entry?.deck || null).catch(() => null);
+        }
+        loaded++;
+        if (deck && onProgress && (includeLegacy || !deck.legacy)) {
             try {
-                const data = JSON.parse(cached);
-                if (Date.now() - data.timestamp < CACHE_TTL) {
-                    console.log(`📦 Using cached deck data${walletAddress ? ' for wallet ' + walletAddress.slice(0, 6) + '...' : ''} (${data.decks.length} decks)`);
-                    return data.decks;
-                } else {
-                    console.log('⏰ Cache expired, reloading from contract');
-                }
+                onProgress(deck, { loaded, total: contentIds.length });
             } catch (error) {
-                console.warn('❌ Cache parse error:', error);
+                console.warn('onProgress handler failed:', error);
             }
-        } else {
-            console.log('📭 No cache found, loading from contract');
         }
-    }
+        return deck;
+    });
+    const decks = results.filter(Boolean);
 
-    // Load from contract
-    console.log(`🔄 Loading ${KNOWN_CONTENT_IDS.length} decks from contract:`, KNOWN_CONTENT_IDS);
-    const decks = [];
+    console.log(`✅ Loaded ${contentIds.length - failed.length} decks successfully`);
+    if (failed.length > 0) {
+        console.warn(`⚠ ${failed.length} decks failed to load, keeping their cached entries:`, failed);
+    }
 
-    for (const id of KNOWN_CONTENT_IDS) {
-        const deck = await loadDeck(contract, id);
-        if (deck) {
-            decks.push(deck);
+    try {
+        // Failed decks keep their previous entry; the catalog lists everything discovered
+        const loadedDecks = decks.filter(deck => !failed.includes(deck.contentId));
+        await DeckCache.putDecks(loadedDecks);
+        // A discovery cut short by RPC errors keeps the previous catalog
+        if (complete) {
+            await DeckCache.putCatalog(contentIds);
         }
+        console.log(`💾 Cached ${loadedDecks.length} decks for future use`);
+    } catch (error) {
+        console.warn('❌ Cache write error:', error);
     }
 
-    console.log(`✅ Loaded ${decks.length} decks successfully`);
+    return decks;
+}
+
+/**
+ * Load all decks registered on the contract
+ * Stale cached decks are returned immediately and revalidated in the
+ * background; `onUpdate` receives the fresh decks once they arrive
+ * @param {object} contract - The contract instance
+ * @param {boolean} useCache - Whether to use cached data
+ * @param {string} walletAddress - Unused; deck data is shared across wallets (kept for compatibility)
+ * @param {object} options - Loading options
+ * @param {boolean} options.includeLegacy - Include decks whose manifest Edition is Legacy
+ * @param {number} options.concurrency - Maximum decks loaded in parallel
+ * @param {function} options.onProgress - Called as (deck, { loaded, total }) when each deck arrives
+ * @param {function} options.onUpdate - Called with fresh decks after serving stale cached data
+ */
+async function loadAllDecks(contract, useCache = true, walletAddress = null, options = {}) {
+    const { includeLegacy = false, concurrency = DEFAULT_CONCURRENCY, onProgress = null, onUpdate = null } = options;
+    const fetchOptions = { concurrency, onProgress, includeLegacy };
 
-    // Update cache
     if (useCache) {
-        try {
-            localStorage.setItem(cacheKey, JSON.stringify({
-                decks,
-                timestamp: Date.now(),
-                walletAddress: walletAddress || 'global'
-            }));
-            console.log(`💾 Cached ${decks.length} decks for future use`);
-        } catch (error) {
-            console.warn('❌ Cache write error:', error);
+        const cached = await readCachedDecks();
+
+        if (cached?.fresh) {
+            console.log(`📦 Using cached deck data (${cached.decks.length} decks)`);
+            return filterLegacy(cached.decks, includeLegacy);
+        }
+
+        if (cached) {
+            // Stale-while-revalidate: render cached data now, replace it when the chain answers
+            console.log(`⏰ Cached deck data is stale, revalidating in background (${cached.decks.length} decks)`);
+            if (!deckRevalidation) {
+                deckRevalidation = fetchDecks(contract, { ...fetchOptions, onProgress: null }, cached.metadata)
+                    .finally(() => { deckRevalidation = null; });
+            }
+            deckRevalidation
+                .then(decks => onUpdate && onUpdate(filterLegacy(decks, includeLegacy)))
+                .catch(error => console.warn('❌ Background revalidation failed:', error));
+            return filterLegacy(cached.decks, includeLegacy);
         }
+
+        console.log('📭 No cache found, loading from contract');
     }
 
-    return decks;
+    const decks = await fetchDecks(contract, fetchOptions);
+    return filterLegacy(decks, includeLegacy);
 }
 
 /**
  * Clear deck cache
- * @param {string} walletAddress - Optional wallet address to clear specific cache, or clears all if not provided
+ * @param {string} walletAddress - Optional wallet address to clear only its cached balances, or clears all if not provided
  */
 function clearDeckCache(walletAddress = null) {
-    if (walletAddress) {
-        // Clear cache for specific wallet
-        const cacheKey = getCacheKey(walletAddress);
-        localStorage.removeItem(cacheKey);
-    } else {
-        // Clear all deck caches (both global and wallet-specific)
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(CACHE_KEY_PREFIX)) {
-                keysToRemove.push(key);
+    return DeckCache.clear(walletAddress).catch(error => console.warn('❌ Cache clear error:', error));
+}
+
+/**
+ * Invalidate the cached data a claim or purchase changes
+ * Expires the deck's supply data and the account's balance for it
+ * @param {number} contentId - Content ID that was claimed or purchased
+ * @param {string} walletAddress - Account that received the pass
+ */
+function invalidateDeck(contentId, walletAddress = null) {
+    return DeckCache.invalidateDeck(contentId, walletAddress).catch(error => console.warn('❌ Cache invalidation error:', error));
+}
+
+/**
+ * Load pass balances for a set of decks
+ * Uses a single ERC-1155 balanceOfBatch call, falling back to parallel
+ * balanceOf calls if the contract instance does not expose it
+ * @param {object} contract - The contract instance
+ * @param {string} userAddress - The user's wallet address
+ * @param {object[]} decks - Decks to check
+ * @param {boolean} useCache - Reuse unexpired cached balances
+ * @returns {Promise<Map<number, number>>} contentId -> balance
+ */
+async function loadBalances(contract, userAddress, decks, useCache = true) {
+    const balances = new Map();
+    if (decks.length === 0) return balances;
+
+    let ids = decks.map(deck => deck.contentId);
+
+    if (useCache) {
+        try {
+            const cached = await DeckCache.getBalances(userAddress, ids);
+            for (const [id, entry] of cached) {
+                if (entry.fresh) balances.set(id, entry.value);
             }
+            ids = ids.filter(id => !balances.has(id));
+            if (ids.length === 0) return balances;
+        } catch (error) {
+            console.warn('❌ Cache read error:', error);
+        }
+    }
+
+    const fetched = new Map();
+
+    if (typeof contract.balanceOfBatch === 'function') {
+        try {
+            const results = await contract.balanceOfBatch(ids.map(() => userAddress), ids);
+            ids.forEach((id, i) => fetched.set(id, Number(results[i].toString())));
+        } catch (error) {
+            console.warn('balanceOfBatch failed, falling back to balanceOf:', error);
         }
-        keysToRemove.forEach(key => localStorage.removeItem(key));
     }
+
+    if (fetched.size === 0) {
+        await mapWithConcurrency(ids, DEFAULT_CONCURRENCY, async (id) => {
+            try {
+                const balance = await contract.balanceOf(userAddress, id);
+                fetched.set(id, Number(balance.toString()));
+            } catch (error) {
+                console.warn(`Failed to check balance for deck ${id}:`, error);
+            }
+        });
+    }
+
+    DeckCache.putBalances(userAddress, fetched).catch(error => console.warn('❌ Cache write error:', error));
+    fetched.forEach((balance, id) => balances.set(id, balance));
+    return balances;
 }
 
 /**
@@ -255,27 +544,241 @@ function clearDeckCache(walletAddress = null) {
  * @param {object} contract - The contract instance
  * @param {string} userAddress - The user's wallet address
  * @param {boolean} useCache - Whether to use cached data
+ * @param {object} options - Passed through to loadAllDecks; `onUpdate` receives fresh owned decks
  */
-async function loadOwnedDecks(contract, userAddress, useCache = true) {
-    // Use wallet-specific cache
-    const allDecks = await loadAllDecks(contract, useCache, userAddress);
-    const owned = [];
+async function loadOwnedDecks(contract, userAddress, useCache = true, options = {}) {
+    const { onUpdate = null, ...deckOptions } = options;
 
-    for (const deck of allDecks) {
-        try {
-            const balance = await contract.balanceOf(userAddress, deck.contentId);
-            if (balance.gt(0)) {
-                owned.push({
-                    ...deck,
-                    balance: balance.toNumber()
-                });
+    const withBalances = async (decks) => {
+        const balances = await loadBalances(contract, userAddress, decks, useCache);
+        return decks
+            .filter(deck => balances.get(deck.contentId) > 0)
+            .map(deck => ({ ...deck, balance: balances.get(deck.contentId) }));
+    };
+
+    const allDecks = await loadAllDecks(contract, useCache, userAddress, {
+        ...deckOptions,
+        onUpdate: onUpdate && (async (decks) => onUpdate(await withBalances(decks)))
+    });
+
+    return withBalances(allDecks);
+}
+
+/**
+ * Normalize a contract version struct into a plain object
+ */
+function normalizeVersion(version, index) {
+    return {
+        index,
+        payloadURI: version.payloadURI,
+        specificationURI: version.specificationURI,
+        manifestURI: version.manifestURI,
+        timestamp: Number(version.timestamp.toString()),
+        reason: version.reason,
+        updatedBy: version.updatedBy
+    };
+}
+
+function isSameVersion(a, b) {
+    return a.timestamp === b.timestamp && VERSION_URI_FIELDS.every(field => a[field] === b[field]);
+}
+
+/**
+ * Load a deck's full version history
+ * Uses getVersionCount when the contract exposes it, otherwise probes
+ * getVersion(contentId, index) until it reverts. Each version lists the
+ * URI fields that changed from the previous version.
+ * @param {object} contract - The contract instance
+ * @param {number} contentId - Content ID
+ * @returns {Promise<{ versions: object[], activeIndex: number, active: object }>}
+ */
+async function loadVersionHistory(contract, contentId) {
+    const [activeRaw, count] = await Promise.all([
+        contract.getActiveVersion(contentId),
+        typeof contract.getVersionCount === 'function'
+            ? contract.getVersionCount(contentId).then(n => Number(n.toString())).catch(() => null)
+            : Promise.resolve(null)
+    ]);
+
+    const versions = [];
+    if (typeof contract.getVersion === 'function') {
+        const limit = count ?? MAX_VERSION_PROBE;
+        for (let index = 0; index < limit; index++) {
+            try {
+                versions.push(normalizeVersion(await contract.getVersion(contentId, index), index));
+            } catch (error) {
+                if (count === null && isMissingContentError(error)) break;
+                throw error;
             }
-        } catch (error) {
-            console.warn(`Failed to check balance for deck ${deck.contentId}:`, error);
         }
     }
 
-    return owned;
+    const activeVersion = normalizeVersion(activeRaw, versions.length);
+    let activeIndex = versions.map((v, i) => (isSameVersion(v, activeVersion) ? i : -1)).filter(i => i >= 0).pop();
+
+    // Contracts without version getters: only the active version is visible
+    if (activeIndex === undefined) {
+        console.warn(`⚠ Version history unavailable for deck ${contentId}, showing active version only`);
+        versions.push(activeVersion);
+        activeIndex = versions.length - 1;
+    }
+
+    versions.forEach((version, i) => {
+        version.changes = i === 0
+            ? [...VERSION_URI_FIELDS]
+            : VERSION_URI_FIELDS.filter(field => version[field] !== versions[i - 1][field]);
+    });
+
+    return { versions, activeIndex, active: versions[activeIndex] };
+}
+
+/**
+ * Storage key for the active network's pins (content IDs differ per network)
+ */
+function versionPinKey() {
+    const network = window.TesserarxConfig?.getActiveNetworkId();
+    return network ? `${VERSION_PIN_KEY}:${network}` : VERSION_PIN_KEY;
+}
+
+/**
+ * Read all saved version pins (contentId -> version index)
+ */
+function getVersionPins() {
+    try {
+        return JSON.parse(localStorage.getItem(versionPinKey()) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the pinned version index for a deck, or null to follow the active version
+ */
+function getVersionPin(contentId) {
+    const pin = getVersionPins()[contentId];
+    return Number.isInteger(pin) ? pin : null;
+}
+
+/**
+ * Pin a deck to a version index, or pass null to follow the active version again
+ */
+function setVersionPin(contentId, versionIndex) {
+    const pins = getVersionPins();
+    if (versionIndex === null || versionIndex === undefined) {
+        delete pins[contentId];
+    } else {
+        pins[contentId] = versionIndex;
+    }
+    localStorage.setItem(versionPinKey(), JSON.stringify(pins));
+}
+
+/**
+ * Passes left to mint (Infinity for unlimited supply)
+ */
+function remainingSupply(deck) {
+    return deck.maxSupply === 0 ? Infinity : Math.max(deck.maxSupply - deck.totalMinted, 0);
+}
+
+/**
+ * Convert a native currency amount to wei, or null if it is not a valid amount
+ */
+function toWei(amount) {
+    if (amount === null || amount === undefined || amount === '') return null;
+    try {
+        return BigInt(window.ethers.utils.parseEther(String(amount)).toString());
+    } catch (error) {
+        console.warn(`⚠ Ignoring invalid price "${amount}"`);
+        return null;
+    }
+}
+
+/**
+ * Filter and sort parsed decks
+ * @param {object[]} decks - Decks from loadAllDecks (load with includeLegacy to filter on legacy)
+ * @param {object} query - Partial query, see DEFAULT_DECK_QUERY
+ * @returns {object[]} Matching decks in sort order
+ */
+function queryDecks(decks, query = {}) {
+    const q = { ...DEFAULT_DECK_QUERY, ...query };
+    const terms = q.text.toLowerCase().split(/\s+/).filter(Boolean);
+    const minWei = toWei(q.minPrice);
+    const maxWei = toWei(q.maxPrice);
+
+    const matches = decks.filter(deck => {
+        if (terms.length) {
+            const haystack = [deck.name, deck.description, deck.creator].join(' ').toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+        if (q.tradition.length && !q.tradition.includes(deck.tradition)) return false;
+        if (q.license.length && !q.license.includes(deck.license)) return false;
+        if (q.free !== null && deck.free !== q.free) return false;
+        if (q.legacy === 'exclude' && deck.legacy) return false;
+        if (q.legacy === 'only' && !deck.legacy) return false;
+        if (minWei !== null && deck.priceWei < minWei) return false;
+        if (maxWei !== null && deck.priceWei > maxWei) return false;
+        if (q.minRemaining !== null && remainingSupply(deck) < q.minRemaining) return false;
+        return true;
+    });
+
+    return matches.sort(DECK_SORTS[q.sort] || DECK_SORTS.id);
+}
+
+/**
+ * Distinct filter values present in a deck list, for building filter chips
+ * @returns {{ tradition: string[], license: string[] }}
+ */
+function getDeckFacets(decks) {
+    const distinct = key => [...new Set(decks.map(deck => deck[key]).filter(Boolean))].sort();
+    return { tradition: distinct('tradition'), license: distinct('license') };
+}
+
+/**
+ * Read a catalog query from a URL search string
+ * e.g. ?q=marseille&tradition=Marseille,Thoth&free=1&sort=price-asc
+ */
+function parseDeckQuery(search) {
+    const params = new URLSearchParams(search);
+    const list = key => (params.get(key) || '').split(',').filter(Boolean);
+    const number = key => {
+        const value = parseInt(params.get(key), 10);
+        return Number.isNaN(value) ? null : value;
+    };
+
+    return {
+        ...DEFAULT_DECK_QUERY,
+        text: params.get('q') || '',
+        tradition: list('tradition'),
+        license: list('license'),
+        free: params.has('free') ? params.get('free') === '1' : null,
+        legacy: ['include', 'only'].includes(params.get('legacy')) ? params.get('legacy') : 'exclude',
+        minPrice: toWei(params.get('minPrice')) !== null ? params.get('minPrice') : null,
+        maxPrice: toWei(params.get('maxPrice')) !== null ? params.get('maxPrice') : null,
+        minRemaining: number('minRemaining'),
+        sort: DECK_SORTS[params.get('sort')] ? params.get('sort') : DEFAULT_DECK_QUERY.sort
+    };
+}
+
+/**
+ * Write a catalog query as a URL search string, omitting defaults
+ * Parameters in `search` that are not part of the query (e.g. ?ref=) are kept
+ */
+function serializeDeckQuery(query, search = '') {
+    const q = { ...DEFAULT_DECK_QUERY, ...query };
+    const params = new URLSearchParams(search);
+    DECK_QUERY_PARAMS.forEach(key => params.delete(key));
+
+    if (q.text) params.set('q', q.text);
+    if (q.tradition.length) params.set('tradition', q.tradition.join(','));
+    if (q.license.length) params.set('license', q.license.join(','));
+    if (q.free !== null) params.set('free', q.free ? '1' : '0');
+    if (q.legacy !== 'exclude') params.set('legacy', q.legacy);
+    if (q.minPrice !== null) params.set('minPrice', q.minPrice);
+    if (q.maxPrice !== null) params.set('maxPrice', q.maxPrice);
+    if (q.minRemaining !== null) params.set('minRemaining', q.minRemaining);
+    if (q.sort !== DEFAULT_DECK_QUERY.sort) params.set('sort', q.sort);
+
+    const serialized = params.toString();
+    return serialized ? `?${serialized}` : '';
 }
 
 /**
@@ -288,13 +791,24 @@ async function getDeckById(contract, contentId) {
 // Export functions for use in HTML files
 if (typeof window !== 'undefined') {
     window.ContentLoader = {
-        loadAllDecks,
-        loadOwnedDecks,
-        getDeckById,
-        loadDeck,
+        loadAllDecks: withReadContract(loadAllDecks),
+        loadOwnedDecks: withReadContract(loadOwnedDecks),
+        loadBalances: withReadContract(loadBalances),
+        getDeckById: withReadContract(getDeckById),
+        loadDeck: withReadContract(loadDeck),
         clearDeckCache,
+        invalidateDeck,
+        loadVersionHistory: withReadContract(loadVersionHistory),
+        getVersionPin,
+        setVersionPin,
+        queryDecks,
+        getDeckFacets,
+        parseDeckQuery,
+        serializeDeckQuery,
+        remainingSupply,
         resolveURI,
         fetchManifest,
-        KNOWN_CONTENT_IDS
+        discoverContentIds: withReadContract(discoverContentIds),
+        contentExists: withReadContract(contentExists)
     };
 }
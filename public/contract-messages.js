@@ -0,0 +1,48 @@
+/**
+ * Contract Messages - User-facing text for ContractError codes
+ * Codes come from the contract layer (window.ContractError); anything
+ * without a message here falls back to the decoded revert reason
+ */
+
+const CONTRACT_ERROR_MESSAGES = {
+    ALREADY_CLAIMED: 'You have already claimed this deck.',
+    SOLD_OUT: 'This deck is sold out.',
+    INSUFFICIENT_PAYMENT: 'The payment does not match the deck price. Please refresh and try again.',
+    NOT_FREE: 'This deck is not free. Please use the purchase option.',
+    CONTENT_NOT_FOUND: 'This deck does not exist on the contract.',
+    NOT_CREATOR: 'Only the creator of this deck can change it.',
+    NOTHING_TO_WITHDRAW: 'There are no earnings to withdraw.',
+    // Named after the active network's currency, which can change while the page is open
+    get INSUFFICIENT_FUNDS() {
+        return `Not enough ${window.TesserarxConfig?.getActiveNetwork().currency.symbol || 'funds'} to cover the payment and network fee.`;
+    },
+    USER_REJECTED: 'Transaction cancelled in your wallet.',
+    PANIC: 'The contract hit an internal error.'
+};
+
+/**
+ * Describe an error from a contract call for display
+ * @param {Error} error - Any error; non-ContractErrors are decoded first
+ * @param {object} contract - ethers contract, used to decode custom errors
+ * @returns {{ code: string, message: string, error: Error }}
+ */
+function describeContractError(error, contract = null) {
+    const decoded = window.ContractError && error instanceof window.ContractError
+        ? error
+        : window.walletManager?.decodeError(error, contract) || error;
+
+    const message = CONTRACT_ERROR_MESSAGES[decoded.code]
+        || decoded.reason
+        || decoded.message
+        || 'Unknown error';
+
+    return { code: decoded.code || 'UNKNOWN', message, error: decoded };
+}
+
+// Export functions for use in HTML files
+if (typeof window !== 'undefined') {
+    window.ContractMessages = {
+        MESSAGES: CONTRACT_ERROR_MESSAGES,
+        describe: describeContractError
+    };
+}
@@ -0,0 +1,299 @@
+/**
+ * Deck Cache - IndexedDB-backed cache for deck and ownership data
+ * Each deck is stored as separate fields (manifest metadata, market data)
+ * with their own expiry, and pass balances are stored per account, so
+ * entries can be expired and invalidated individually. Every key is
+ * prefixed with the active network, so networks never share entries.
+ */
+
+const DECK_CACHE_DB = 'tesserarx';
+const DECK_CACHE_STORE = 'entries';
+const DECK_CACHE_VERSION = 2; // 2: keys prefixed with the network
+const LEGACY_CACHE_PREFIX = 'tesserarx_deck_cache'; // Pre-IndexedDB localStorage blobs
+
+// Time-to-live per cached field (ms)
+const DECK_CACHE_TTL = {
+    metadata: 86400000, // 24 hours - manifest-derived fields rarely change
+    market: 300000,     // 5 minutes - price and supply
+    catalog: 300000,    // 5 minutes - list of content IDs
+    balance: 60000      // 1 minute - pass ownership
+};
+
+// Deck fields grouped by cache field
+const DECK_FIELDS = {
+    metadata: ['manifestURI', 'description', 'image', 'year', 'creator', 'tradition', 'license', 'legacy', 'external_url', 'issues'],
+    market: ['name', 'maxSupply', 'totalMinted', 'price', 'priceWei', 'free']
+};
+
+let deckCacheDB = null;
+const memoryStore = new Map(); // Fallback when IndexedDB is unavailable
+
+/**
+ * Encode values that do not survive structured clone or JSON intact
+ * BigInt and ethers BigNumber both become tagged decimal strings
+ */
+function encodeCacheValue(value) {
+    if (typeof value === 'bigint') {
+        return { $bigint: value.toString() };
+    }
+    if (value && value._isBigNumber) {
+        return { $bigint: value.toString() };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeCacheValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeCacheValue(v)]));
+    }
+    return value;
+}
+
+/**
+ * Decode tagged values back to BigInt
+ */
+function decodeCacheValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeCacheValue);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.$bigint === 'string') {
+            return BigInt(value.$bigint);
+        }
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeCacheValue(v)]));
+    }
+    return value;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and upgrade) the cache database
+ * Resolves to false when IndexedDB is unavailable, e.g. in private browsing
+ */
+async function openDeckCache() {
+    if (deckCacheDB !== null) return deckCacheDB;
+
+    try {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not supported');
+
+        const request = indexedDB.open(DECK_CACHE_DB, DECK_CACHE_VERSION);
+        request.onupgradeneeded = (event) => {
+            // Entries written before networks were separated cannot be attributed to one
+            if (event.oldVersion > 0) {
+                request.result.deleteObjectStore(DECK_CACHE_STORE);
+            }
+            request.result.createObjectStore(DECK_CACHE_STORE, { keyPath: 'key' });
+        };
+        deckCacheDB = await promisifyRequest(request);
+
+        // Drop the old single-blob localStorage cache
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(LEGACY_CACHE_PREFIX)) {
+                localStorage.removeItem(key);
+            }
+        }
+    } catch (error) {
+        console.warn('⚠ IndexedDB unavailable, using in-memory deck cache:', error.message);
+        deckCacheDB = false;
+    }
+
+    return deckCacheDB;
+}
+
+async function readEntry(key) {
+    const db = await openDeckCache();
+    if (!db) return memoryStore.get(key) || null;
+
+    const store = db.transaction(DECK_CACHE_STORE, 'readonly').objectStore(DECK_CACHE_STORE);
+    return (await promisifyRequest(store.get(key))) || null;
+}
+
+async function writeEntries(entries) {
+    const db = await openDeckCache();
+    if (!db) {
+        entries.forEach(entry => memoryStore.set(entry.key, entry));
+        return;
+    }
+
+    const tx = db.transaction(DECK_CACHE_STORE, 'readwrite');
+    const store = tx.objectStore(DECK_CACHE_STORE);
+    entries.forEach(entry => store.put(entry));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function deleteEntry(key) {
+    const db = await openDeckCache();
+    if (!db) {
+        memoryStore.delete(key);
+        return;
+    }
+
+    const tx = db.transaction(DECK_CACHE_STORE, 'readwrite');
+    tx.objectStore(DECK_CACHE_STORE).delete(key);
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Delete every entry whose key starts with the prefix
+ */
+async function deleteEntries(prefix) {
+    const db = await openDeckCache();
+    if (!db) {
+        for (const key of [...memoryStore.keys()]) {
+            if (key.startsWith(prefix)) memoryStore.delete(key);
+        }
+        return;
+    }
+
+    const tx = db.transaction(DECK_CACHE_STORE, 'readwrite');
+    tx.objectStore(DECK_CACHE_STORE).delete(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Build a cached field with its own expiry
+ */
+function cacheField(value, ttl) {
+    const now = Date.now();
+    return { value: encodeCacheValue(value), updatedAt: now, expiresAt: now + ttl };
+}
+
+function isFieldFresh(field) {
+    return !!field && field.expiresAt > Date.now();
+}
+
+const networkKey = () => window.TesserarxConfig?.getActiveNetworkId() || 'default';
+const catalogKey = () => `${networkKey()}:catalog`;
+const deckKey = contentId => `${networkKey()}:deck:${contentId}`;
+const balancePrefix = account => `${networkKey()}:balance:${account.toLowerCase()}:`;
+const balanceKey = (account, contentId) => `${balancePrefix(account)}${contentId}`;
+
+/**
+ * Read the cached list of content IDs
+ * @returns {Promise<{ contentIds: number[], fresh: boolean } | null>}
+ */
+async function getCachedCatalog() {
+    const entry = await readEntry(catalogKey());
+    if (!entry) return null;
+    return { contentIds: entry.field.value, fresh: isFieldFresh(entry.field) };
+}
+
+async function putCachedCatalog(contentIds) {
+    await writeEntries([{ key: catalogKey(), field: cacheField(contentIds, DECK_CACHE_TTL.catalog) }]);
+}
+
+/**
+ * Read a cached deck
+ * @returns {Promise<{ deck: object, metadata: object, fresh: { metadata: boolean, market: boolean } } | null>}
+ *   `deck` is null unless every field group is cached; `metadata` holds the
+ *   manifest-derived fields on their own so they can be reused when only
+ *   market data has expired
+ */
+async function getCachedDeck(contentId) {
+    const entry = await readEntry(deckKey(contentId));
+    if (!entry) return null;
+
+    const { metadata, market } = entry.fields;
+    const fresh = { metadata: isFieldFresh(metadata), market: isFieldFresh(market) };
+    const deck = metadata && market
+        ? { contentId, ...decodeCacheValue(metadata.value), ...decodeCacheValue(market.value) }
+        : null;
+
+    return { deck, metadata: metadata ? decodeCacheValue(metadata.value) : null, fresh };
+}
+
+/**
+ * Store a deck, splitting it into separately expiring fields
+ */
+async function putCachedDecks(decks) {
+    const pick = (deck, keys) => Object.fromEntries(keys.map(key => [key, deck[key]]));
+
+    await writeEntries(decks.map(deck => ({
+        key: deckKey(deck.contentId),
+        fields: {
+            metadata: cacheField(pick(deck, DECK_FIELDS.metadata), DECK_CACHE_TTL.metadata),
+            market: cacheField(pick(deck, DECK_FIELDS.market), DECK_CACHE_TTL.market)
+        }
+    })));
+}
+
+/**
+ * Read cached pass balances for an account
+ * @returns {Promise<Map<number, { value: number, fresh: boolean }>>}
+ */
+async function getCachedBalances(account, contentIds) {
+    const balances = new Map();
+    await Promise.all(contentIds.map(async (id) => {
+        const entry = await readEntry(balanceKey(account, id));
+        if (entry) {
+            balances.set(id, { value: entry.field.value, fresh: isFieldFresh(entry.field) });
+        }
+    }));
+    return balances;
+}
+
+async function putCachedBalances(account, balances) {
+    await writeEntries([...balances.entries()].map(([id, value]) => ({
+        key: balanceKey(account, id),
+        field: cacheField(value, DECK_CACHE_TTL.balance)
+    })));
+}
+
+/**
+ * Invalidate exactly what a claim or purchase changes:
+ * the deck's market data (supply) and the buyer's balance for it
+ */
+async function invalidateCachedDeck(contentId, account = null) {
+    const entry = await readEntry(deckKey(contentId));
+    const writes = [];
+    if (entry?.fields.market) {
+        writes.push({ ...entry, fields: { ...entry.fields, market: { ...entry.fields.market, expiresAt: 0 } } });
+    }
+    if (writes.length) await writeEntries(writes);
+    if (account) await deleteEntry(balanceKey(account, contentId));
+}
+
+/**
+ * Clear cached data for the active network
+ * @param {string} account - Clear only this account's balances, or everything if omitted
+ */
+async function clearCache(account = null) {
+    if (account) {
+        await deleteEntries(balancePrefix(account));
+    } else {
+        await deleteEntries(`${networkKey()}:`);
+    }
+}
+
+// Export functions for use in HTML files
+if (typeof window !== 'undefined') {
+    window.DeckCache = {
+        TTL: DECK_CACHE_TTL,
+        getCatalog: getCachedCatalog,
+        putCatalog: putCachedCatalog,
+        getDeck: getCachedDeck,
+        putDecks: putCachedDecks,
+        getBalances: getCachedBalances,
+        putBalances: putCachedBalances,
+        invalidateDeck: invalidateCachedDeck,
+        clear: clearCache
+    };
+}
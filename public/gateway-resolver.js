@@ -0,0 +1,500 @@
+/**
+ * Gateway Resolver - Decentralized URI resolution with failover
+ * Resolves ipfs://, ipns:// and ar:// URIs through an ordered list of HTTP
+ * gateways, falling over to the next gateway on errors or timeouts, and can
+ * verify IPFS content against its CID so a gateway cannot serve tampered data
+ */
+
+const GATEWAY_CONFIG = {
+    ipfs: [
+        'https://ipfs.io',
+        'https://dweb.link',
+        'https://w3s.link',
+        'https://gateway.pinata.cloud'
+    ],
+    arweave: [
+        'https://arweave.net',
+        'https://ar-io.net'
+    ],
+    timeout: 15000, // Per-gateway request timeout (ms)
+    verify: false   // Verify IPFS content against its CID by default
+};
+
+const BLOCK_FETCH_CONCURRENCY = 8; // Child blocks fetched in parallel during verification
+
+// Multicodec / multihash codes
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const HASH_IDENTITY = 0x00;
+const HASH_SHA2_256 = 0x12;
+
+// UnixFS node types
+const UNIXFS_RAW = 0;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+const UNIXFS_HAMT_SHARD = 5;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Update gateway configuration
+ * @param {object} options - Any of { ipfs, arweave, timeout, verify }
+ */
+function configureGateways(options = {}) {
+    Object.assign(GATEWAY_CONFIG, options);
+    return { ...GATEWAY_CONFIG };
+}
+
+/**
+ * Split a decentralized URI into its scheme and path
+ * Returns null for plain HTTP(S) or relative URIs
+ */
+function parseGatewayURI(uri) {
+    const match = /^(ipfs|ipns|ar):\/\/(.+)$/i.exec(uri || '');
+    if (!match) return null;
+    return { scheme: match[1].toLowerCase(), path: match[2].replace(/^\/+/, '') };
+}
+
+/**
+ * Resolve a URI to an ordered list of candidate HTTP URLs
+ */
+function resolveGatewayURLs(uri) {
+    if (!uri) return [];
+
+    const parsed = parseGatewayURI(uri);
+    if (!parsed) return [uri];
+
+    const trim = gateway => gateway.replace(/\/+$/, '');
+
+    switch (parsed.scheme) {
+        case 'ipfs':
+            return GATEWAY_CONFIG.ipfs.map(gateway => `${trim(gateway)}/ipfs/${parsed.path}`);
+        case 'ipns':
+            return GATEWAY_CONFIG.ipfs.map(gateway => `${trim(gateway)}/ipns/${parsed.path}`);
+        case 'ar':
+            return GATEWAY_CONFIG.arweave.map(gateway => `${trim(gateway)}/${parsed.path}`);
+        default:
+            return [uri];
+    }
+}
+
+/**
+ * Fetch with an abort timeout
+ */
+async function fetchWithTimeout(url, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Timed out after ${timeout}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Try each candidate URL in order until one succeeds
+ * @param {string[]} urls - Candidate URLs
+ * @param {function} check - Optional async (bytes) => void that throws to reject a response
+ */
+async function fetchFirstAvailable(urls, timeout, check = null) {
+    const failures = [];
+
+    for (const url of urls) {
+        try {
+            const bytes = await fetchWithTimeout(url, timeout);
+            if (check) await check(bytes);
+            return { bytes, url };
+        } catch (error) {
+            console.warn(`⚠ Gateway failed (${url}):`, error.message);
+            failures.push(`${url}: ${error.message}`);
+        }
+    }
+
+    throw new Error(`All gateways failed:\n${failures.join('\n')}`);
+}
+
+// === Encoding helpers ===
+
+function decodeBase32(input) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+
+    for (const char of input.toLowerCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+        buffer = (buffer << 5) | value;
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((buffer >> bits) & 0xff);
+        }
+    }
+
+    return new Uint8Array(bytes);
+}
+
+function encodeBase32(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            output += BASE32_ALPHABET[(buffer >> bits) & 31];
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function decodeBase58(input) {
+    let value = 0n;
+    for (const char of input) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) throw new Error(`Invalid base58 character: ${char}`);
+        value = value * 58n + BigInt(digit);
+    }
+
+    const bytes = [];
+    while (value > 0n) {
+        bytes.unshift(Number(value & 0xffn));
+        value >>= 8n;
+    }
+    for (const char of input) {
+        if (char !== '1') break;
+        bytes.unshift(0);
+    }
+
+    return new Uint8Array(bytes);
+}
+
+function decodeHex(input) {
+    const bytes = new Uint8Array(input.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(input.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Read an unsigned LEB128 varint
+ * @returns {[number, number]} [value, bytes read]
+ */
+function readVarint(bytes, offset) {
+    let value = 0;
+    let shift = 0;
+    let position = offset;
+
+    while (position < bytes.length) {
+        const byte = bytes[position++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if ((byte & 0x80) === 0) return [value, position - offset];
+        shift += 7;
+    }
+
+    throw new Error('Truncated varint');
+}
+
+// === CID handling ===
+
+/**
+ * Parse a binary CID (v0 multihash or v1)
+ */
+function parseCIDBytes(bytes) {
+    let multihashStart;
+    let version;
+    let codec;
+
+    if (bytes[0] === HASH_SHA2_256 && bytes[1] === 0x20 && bytes.length === 34) {
+        version = 0;
+        codec = CODEC_DAG_PB;
+        multihashStart = 0;
+    } else {
+        let offset = 0;
+        let length;
+        [version, length] = readVarint(bytes, offset);
+        offset += length;
+        [codec, length] = readVarint(bytes, offset);
+        offset += length;
+        multihashStart = offset;
+        if (version !== 1) throw new Error(`Unsupported CID version: ${version}`);
+    }
+
+    const multihash = bytes.slice(multihashStart);
+    let [hashCode, length] = readVarint(multihash, 0);
+    let offset = length;
+    let digestLength;
+    [digestLength, length] = readVarint(multihash, offset);
+    offset += length;
+
+    return {
+        version,
+        codec,
+        hashCode,
+        digest: multihash.slice(offset, offset + digestLength),
+        multihash
+    };
+}
+
+/**
+ * Parse a CID string (CIDv0 base58btc, or CIDv1 in base32/base58btc/base16)
+ */
+function parseCID(cid) {
+    if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+        return parseCIDBytes(decodeBase58(cid));
+    }
+
+    const prefix = cid[0];
+    const body = cid.slice(1);
+    if (prefix === 'b' || prefix === 'B') return parseCIDBytes(decodeBase32(body));
+    if (prefix === 'z') return parseCIDBytes(decodeBase58(body));
+    if (prefix === 'f' || prefix === 'F') return parseCIDBytes(decodeHex(body));
+
+    throw new Error(`Unsupported CID encoding: ${cid}`);
+}
+
+/**
+ * Format a parsed CID as a CIDv1 base32 string for gateway requests
+ */
+function formatCID(parsed) {
+    const header = [0x01, parsed.codec];
+    return 'b' + encodeBase32(new Uint8Array([...header, ...parsed.multihash]));
+}
+
+/**
+ * Check a block's bytes against the CID's multihash
+ */
+async function verifyBlock(parsed, bytes) {
+    if (parsed.hashCode === HASH_IDENTITY) {
+        if (!bytesEqual(parsed.digest, bytes)) {
+            throw new Error('Identity CID does not match content');
+        }
+        return;
+    }
+
+    if (parsed.hashCode !== HASH_SHA2_256) {
+        throw new Error(`Unsupported hash function 0x${parsed.hashCode.toString(16)}`);
+    }
+
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    if (!bytesEqual(digest, parsed.digest)) {
+        throw new Error(`Content hash mismatch for CID ${formatCID(parsed)}`);
+    }
+}
+
+function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+// === DAG-PB / UnixFS decoding ===
+
+/**
+ * Decode protobuf fields into [fieldNumber, value] pairs
+ * Length-delimited fields yield Uint8Array, varints yield numbers
+ */
+function decodeProtobuf(bytes) {
+    const fields = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+        const [key, keyLength] = readVarint(bytes, offset);
+        offset += keyLength;
+        const fieldNumber = Math.floor(key / 8);
+        const wireType = key & 7;
+
+        if (wireType === 0) {
+            const [value, length] = readVarint(bytes, offset);
+            offset += length;
+            fields.push([fieldNumber, value]);
+        } else if (wireType === 2) {
+            const [size, length] = readVarint(bytes, offset);
+            offset += length;
+            fields.push([fieldNumber, bytes.slice(offset, offset + size)]);
+            offset += size;
+        } else {
+            throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Decode a dag-pb node into its UnixFS data and links
+ */
+function decodeDagPbNode(bytes) {
+    const links = [];
+    let data = null;
+
+    for (const [field, value] of decodeProtobuf(bytes)) {
+        if (field === 1) {
+            data = value;
+        } else if (field === 2) {
+            const link = { cid: null, name: '' };
+            for (const [linkField, linkValue] of decodeProtobuf(value)) {
+                if (linkField === 1) link.cid = linkValue;
+                if (linkField === 2) link.name = new TextDecoder().decode(linkValue);
+            }
+            links.push(link);
+        }
+    }
+
+    const unixfs = { type: UNIXFS_FILE, data: new Uint8Array(0) };
+    if (data) {
+        for (const [field, value] of decodeProtobuf(data)) {
+            if (field === 1) unixfs.type = value;
+            if (field === 2) unixfs.data = value;
+        }
+    }
+
+    return { links, unixfs };
+}
+
+/**
+ * Fetch a single raw block from the gateways and verify it
+ */
+async function fetchVerifiedBlock(parsed, timeout) {
+    const cid = formatCID(parsed);
+    const urls = GATEWAY_CONFIG.ipfs.map(gateway => `${gateway.replace(/\/+$/, '')}/ipfs/${cid}?format=raw`);
+    const { bytes } = await fetchFirstAvailable(urls, timeout, block => verifyBlock(parsed, block));
+    return bytes;
+}
+
+/**
+ * Reassemble the verified contents of a UnixFS file rooted at a CID
+ */
+async function fetchVerifiedFile(parsed, timeout) {
+    const block = await fetchVerifiedBlock(parsed, timeout);
+    if (parsed.codec === CODEC_RAW) return block;
+    if (parsed.codec !== CODEC_DAG_PB) {
+        throw new Error(`Unsupported CID codec 0x${parsed.codec.toString(16)}`);
+    }
+
+    const node = decodeDagPbNode(block);
+    if (node.unixfs.type !== UNIXFS_FILE && node.unixfs.type !== UNIXFS_RAW) {
+        throw new Error(`CID ${formatCID(parsed)} is not a file`);
+    }
+
+    const parts = [node.unixfs.data];
+    for (let i = 0; i < node.links.length; i += BLOCK_FETCH_CONCURRENCY) {
+        const batch = node.links.slice(i, i + BLOCK_FETCH_CONCURRENCY);
+        parts.push(...await Promise.all(
+            batch.map(link => fetchVerifiedFile(parseCIDBytes(link.cid), timeout))
+        ));
+    }
+
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const output = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+/**
+ * Walk a path below a directory CID, verifying each directory block
+ */
+async function resolveVerifiedPath(parsed, segments, timeout) {
+    let current = parsed;
+
+    for (const segment of segments) {
+        if (current.codec !== CODEC_DAG_PB) {
+            throw new Error(`Cannot resolve "${segment}" below a non-directory CID`);
+        }
+
+        const node = decodeDagPbNode(await fetchVerifiedBlock(current, timeout));
+        if (node.unixfs.type === UNIXFS_HAMT_SHARD) {
+            throw new Error('Sharded directories are not supported for verified fetches');
+        }
+        if (node.unixfs.type !== UNIXFS_DIRECTORY) {
+            throw new Error(`Cannot resolve "${segment}": parent is not a directory`);
+        }
+
+        const link = node.links.find(l => l.name === segment);
+        if (!link) throw new Error(`Path segment not found: ${segment}`);
+        current = parseCIDBytes(link.cid);
+    }
+
+    return current;
+}
+
+/**
+ * Fetch IPFS content block by block, verifying every block against its CID
+ */
+async function fetchVerifiedIPFS(path, timeout) {
+    const [cid, ...segments] = path.split('?')[0].split('/').filter(Boolean);
+    const root = parseCID(cid);
+    const target = await resolveVerifiedPath(root, segments.map(decodeURIComponent), timeout);
+    return fetchVerifiedFile(target, timeout);
+}
+
+// === Public API ===
+
+/**
+ * Fetch a URI as bytes through the configured gateways
+ * @param {string} uri - ipfs://, ipns://, ar://, HTTP(S) or relative URI
+ * @param {object} options - { timeout, verify, check }; check(bytes) throws to try the next gateway
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchGatewayBytes(uri, options = {}) {
+    const timeout = options.timeout ?? GATEWAY_CONFIG.timeout;
+    const verify = options.verify ?? GATEWAY_CONFIG.verify;
+    const parsed = parseGatewayURI(uri);
+
+    if (verify && parsed?.scheme === 'ipfs') {
+        return fetchVerifiedIPFS(parsed.path, timeout);
+    }
+    if (verify && parsed) {
+        console.warn(`⚠ Content verification is not available for ${parsed.scheme}:// URIs`);
+    }
+
+    const { bytes } = await fetchFirstAvailable(resolveGatewayURLs(uri), timeout, options.check);
+    return bytes;
+}
+
+function decodeJSON(bytes) {
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Fetch and parse a JSON document through the configured gateways
+ * A gateway that answers with an error page or a truncated body is skipped like one that fails
+ */
+async function fetchGatewayJSON(uri, options = {}) {
+    return decodeJSON(await fetchGatewayBytes(uri, { ...options, check: decodeJSON }));
+}
+
+// Export functions for use in HTML files
+if (typeof window !== 'undefined') {
+    window.GatewayResolver = {
+        configure: configureGateways,
+        resolveURLs: resolveGatewayURLs,
+        fetchBytes: fetchGatewayBytes,
+        fetchJSON: fetchGatewayJSON,
+        parseCID
+    };
+}
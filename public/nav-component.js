@@ -5,7 +5,7 @@
 
 /**
  * Render navigation component
- * @param {string} activePage - Current page identifier ('market', 'collection', 'reader', 'home')
+ * @param {string} activePage - Current page identifier ('market', 'collection', 'reader', 'creator', 'home')
  * @param {boolean} includeHome - Whether to include Home and Docs links (for home page)
  */
 function renderNavigation(activePage = "", includeHome = false) {
@@ -39,6 +39,15 @@ function renderNavigation(activePage = "", includeHome = false) {
                 } transition-colors">
                     Reader
                 </a>
+                <a href="creator.html" class="text-sm ${
+                  activePage === "creator"
+                    ? "text-accent"
+                    : "text-muted hover:text-accent"
+                } transition-colors">
+                    Creator
+                </a>
+                <div id="chainHealth"></div>
+                <div id="networkStatus"></div>
                 <div id="walletStatus"></div>
             </div>
         </div>
@@ -46,8 +55,116 @@ function renderNavigation(activePage = "", includeHome = false) {
 
   // Insert at the beginning of body
   document.body.insertBefore(nav, document.body.firstChild);
+
+  renderNetworkStatus();
+  renderChainHealth(window.walletManager?.getChainHealth());
+}
+
+/**
+ * Show the active network, with a menu to switch to the others in config.js
+ * Also fills [data-network-field] elements on the page (e.g. "name", "factoryAddress")
+ */
+function renderNetworkStatus() {
+  const config = window.TesserarxConfig;
+  const container = document.getElementById("networkStatus");
+  if (!config || !container) return;
+
+  const active = config.getActiveNetwork();
+
+  container.innerHTML = `
+        <select
+            onchange="selectNetwork(this.value)"
+            title="${active.name} · chain ${active.chainId}"
+            class="bg-surface/50 text-xs font-mono ${
+              active.testnet ? "text-muted" : "text-accent"
+            } border border-border/50 rounded-lg px-2 py-1 focus:outline-none focus:border-accent/50 transition-colors"
+        >
+            ${config
+              .listNetworks()
+              .map(
+                (network) => `
+                <option
+                    value="${network.id}"
+                    ${network.id === active.id ? "selected" : ""}
+                    ${config.isNetworkAvailable(network) ? "" : "disabled"}
+                >
+                    ${network.name}${network.testnet ? " (testnet)" : ""}${
+                  config.isNetworkAvailable(network)
+                    ? ""
+                    : network.factoryOverride
+                      ? " — open with ?factory=<address>"
+                      : " — not deployed"
+                }
+                </option>`
+              )
+              .join("")}
+        </select>
+    `;
+
+  document.querySelectorAll("[data-network-field]").forEach((element) => {
+    element.textContent = active[element.dataset.networkField] ?? "—";
+  });
+}
+
+// Dot colour and label per connection status (see chain-connection.js)
+const CHAIN_HEALTH_STYLES = {
+  connected: { dot: "bg-green-400", label: "Connected" },
+  degraded: { dot: "bg-amber-400", label: "Degraded" },
+  connecting: { dot: "bg-amber-400 animate-pulse", label: "Connecting" },
+  reconnecting: { dot: "bg-amber-400 animate-pulse", label: "Reconnecting" },
+  disconnected: { dot: "bg-muted/40", label: "Not connected" },
+};
+
+/**
+ * Show the chain connection's health: a status dot, latency, and details on hover
+ * @param {object} health - From walletManager.getChainHealth() or its 'health' event
+ */
+function renderChainHealth(health) {
+  const container = document.getElementById("chainHealth");
+  if (!container || !health) return;
+
+  const style =
+    CHAIN_HEALTH_STYLES[health.status] || CHAIN_HEALTH_STYLES.disconnected;
+  const details = [
+    `${health.network}: ${style.label.toLowerCase()}`,
+    health.endpoint && `Endpoint: ${health.endpoint}`,
+    Number.isFinite(health.latency) && `Latency: ${health.latency} ms`,
+    health.bestBlock && `Best block: #${health.bestBlock.toLocaleString()}`,
+    health.syncing && "Node is syncing",
+    health.error && `Last error: ${health.error}`,
+  ].filter(Boolean);
+
+  container.innerHTML = `
+        <div class="flex items-center gap-2 text-xs font-mono text-muted" title="${window.Html.escapeHtml(
+          details.join("\n"),
+        )}">
+            <span class="inline-block w-2 h-2 rounded-full ${style.dot}"></span>
+            <span class="hidden md:inline">${
+              health.status === "connected" || health.status === "degraded"
+                ? `${health.latency ?? "—"} ms`
+                : style.label
+            }</span>
+        </div>
+    `;
 }
 
+/**
+ * Switch networks from the nav menu
+ */
+async function selectNetwork(networkId) {
+  try {
+    await window.walletManager.switchNetwork(networkId);
+  } catch (error) {
+    console.error("Network switch failed:", error);
+    alert("Failed to switch network: " + error.message);
+    renderNetworkStatus();
+  }
+}
+
+// The network can also change from the wallet (EVM wallets switching chains)
+window.walletManager?.on("networkChanged", () => renderNetworkStatus());
+window.walletManager?.on("health", (health) => renderChainHealth(health));
+
 /**
  * Auto-detect current page and render navigation
  */
@@ -63,6 +180,8 @@ window.addEventListener("DOMContentLoaded", () => {
     activePage = "collection";
   } else if (path.includes("reader")) {
     activePage = "reader";
+  } else if (path.includes("creator")) {
+    activePage = "creator";
   } else if (path.includes("index") || path.endsWith("/")) {
     activePage = "home";
     includeHome = true;
@@ -0,0 +1,234 @@
+/**
+ * TDP Validator - Schema validation for TDP-1.0 content
+ * Validates both the on-chain NFT-style deck manifest and the manifest.json
+ * inside a TDP package, reporting every problem with its JSON path
+ */
+
+// Traits parseDeckData reads from the on-chain manifest
+const REQUIRED_DECK_TRAITS = ['Year', 'Creator', 'Tradition', 'License'];
+
+/**
+ * Error thrown when content fails validation
+ * `issues` holds every problem found, not just the first
+ */
+class TDPValidationError extends Error {
+    constructor(label, issues) {
+        super(`${label} failed validation with ${issues.length} issue${issues.length === 1 ? '' : 's'}`);
+        this.name = 'TDPValidationError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Describe a value's JSON type for error messages
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Collects issues while walking a document
+ */
+function createIssueCollector() {
+    const errors = [];
+    const warnings = [];
+
+    const collector = {
+        errors,
+        warnings,
+
+        error(path, code, message) {
+            errors.push({ path, code, message });
+        },
+
+        warn(path, code, message) {
+            warnings.push({ path, code, message });
+        },
+
+        /**
+         * Check a field exists and has the expected JSON type
+         * Returns true when the value can be inspected further
+         */
+        expect(value, path, type, { optional = false } = {}) {
+            if (value === undefined || value === null) {
+                if (!optional) collector.error(path, 'missing', `Missing required field (expected ${type})`);
+                return false;
+            }
+            const actual = describeType(value);
+            if (actual !== type) {
+                collector.error(path, 'type', `Expected ${type}, got ${actual}`);
+                return false;
+            }
+            return true;
+        },
+
+        result() {
+            return { valid: errors.length === 0, errors, warnings };
+        }
+    };
+
+    return collector;
+}
+
+/**
+ * Validate the on-chain NFT-style deck manifest (manifestURI)
+ * @param {object} manifest - Parsed manifest JSON
+ * @returns {{ valid: boolean, errors: object[], warnings: object[] }}
+ */
+function validateDeckManifest(manifest) {
+    const issues = createIssueCollector();
+
+    if (!issues.expect(manifest, '$', 'object')) {
+        return issues.result();
+    }
+
+    issues.expect(manifest.name, '$.name', 'string');
+    issues.expect(manifest.description, '$.description', 'string');
+    issues.expect(manifest.image, '$.image', 'string');
+    issues.expect(manifest.external_url, '$.external_url', 'string', { optional: true });
+
+    if (issues.expect(manifest.tdp_version, '$.tdp_version', 'string', { optional: true })
+        && !manifest.tdp_version.startsWith('1.')) {
+        issues.warn('$.tdp_version', 'value', `Unsupported TDP version ${manifest.tdp_version}`);
+    }
+
+    if (issues.expect(manifest.attributes, '$.attributes', 'array')) {
+        const traits = new Set();
+
+        manifest.attributes.forEach((attr, i) => {
+            const path = `$.attributes[${i}]`;
+            if (!issues.expect(attr, path, 'object')) return;
+
+            if (issues.expect(attr.trait_type, `${path}.trait_type`, 'string')) {
+                traits.add(attr.trait_type);
+            }
+            const valueType = describeType(attr.value);
+            if (valueType !== 'string' && valueType !== 'number') {
+                issues.error(`${path}.value`, attr.value === undefined ? 'missing' : 'type',
+                    `Expected string or number, got ${valueType}`);
+            }
+        });
+
+        REQUIRED_DECK_TRAITS.forEach(trait => {
+            if (!traits.has(trait)) {
+                issues.error(`$.attributes[?(@.trait_type=='${trait}')]`, 'missing', `Missing "${trait}" attribute`);
+            }
+        });
+    }
+
+    return issues.result();
+}
+
+/**
+ * Validate a single card map entry
+ */
+function validateCard(card, path, issues) {
+    if (!issues.expect(card, path, 'object')) return;
+    issues.expect(card.id, `${path}.id`, 'string');
+    issues.expect(card.name, `${path}.name`, 'string');
+    if (issues.expect(card.keywords, `${path}.keywords`, 'array', { optional: true })) {
+        card.keywords.forEach((keyword, i) => issues.expect(keyword, `${path}.keywords[${i}]`, 'string'));
+    }
+}
+
+/**
+ * Validate the manifest.json inside a TDP package
+ * @param {object} manifest - Parsed manifest JSON
+ * @param {object} options - { hasFile: (path) => boolean } to check image paths resolve inside the package
+ * @returns {{ valid: boolean, errors: object[], warnings: object[] }}
+ */
+function validatePackageManifest(manifest, options = {}) {
+    const { hasFile = null } = options;
+    const issues = createIssueCollector();
+
+    if (!issues.expect(manifest, '$', 'object')) {
+        return issues.result();
+    }
+
+    issues.expect(manifest.deck_name, '$.deck_name', 'string');
+    issues.expect(manifest.version, '$.version', 'string');
+
+    // Structure
+    if (issues.expect(manifest.structure, '$.structure', 'object')) {
+        if (issues.expect(manifest.structure.total_cards, '$.structure.total_cards', 'number')
+            && (!Number.isInteger(manifest.structure.total_cards) || manifest.structure.total_cards < 1)) {
+            issues.error('$.structure.total_cards', 'value', 'Expected a positive integer');
+        }
+        issues.expect(manifest.structure.format, '$.structure.format', 'string');
+    }
+
+    // Image list
+    let imageCount = 0;
+    if (issues.expect(manifest.files, '$.files', 'object')
+        && issues.expect(manifest.files.image_list, '$.files.image_list', 'array')) {
+        imageCount = manifest.files.image_list.length;
+
+        manifest.files.image_list.forEach((file, i) => {
+            const path = `$.files.image_list[${i}]`;
+            if (!issues.expect(file, path, 'object')) return;
+
+            issues.expect(file.filename, `${path}.filename`, 'string');
+            if (issues.expect(file.path, `${path}.path`, 'string') && hasFile && !hasFile(file.path)) {
+                issues.error(`${path}.path`, 'unresolved', `Image not found in package: ${file.path}`);
+            }
+        });
+    }
+
+    // Card map
+    let cardCount = 0;
+    if (issues.expect(manifest.card_map, '$.card_map', 'object')) {
+        if (issues.expect(manifest.card_map.major_arcana, '$.card_map.major_arcana', 'array')) {
+            cardCount += manifest.card_map.major_arcana.length;
+            manifest.card_map.major_arcana.forEach((card, i) =>
+                validateCard(card, `$.card_map.major_arcana[${i}]`, issues));
+        }
+
+        if (issues.expect(manifest.card_map.suits, '$.card_map.suits', 'object')) {
+            for (const [suitName, suit] of Object.entries(manifest.card_map.suits)) {
+                const path = `$.card_map.suits.${suitName}`;
+                if (!issues.expect(suit, path, 'object')) continue;
+                if (!issues.expect(suit.cards, `${path}.cards`, 'array')) continue;
+
+                cardCount += suit.cards.length;
+                suit.cards.forEach((card, i) => validateCard(card, `${path}.cards[${i}]`, issues));
+            }
+        }
+    }
+
+    // Consistency checks are warnings: the deck can still be displayed
+    const totalCards = manifest.structure?.total_cards;
+    if (typeof totalCards === 'number' && cardCount > 0 && cardCount !== totalCards) {
+        issues.warn('$.structure.total_cards', 'mismatch', `Declares ${totalCards} cards but card_map lists ${cardCount}`);
+    }
+    if (typeof totalCards === 'number' && imageCount > 0 && imageCount !== totalCards) {
+        issues.warn('$.files.image_list', 'mismatch', `Declares ${totalCards} cards but image_list has ${imageCount} images`);
+    }
+
+    return issues.result();
+}
+
+/**
+ * Format issues as a readable HTML list for display
+ */
+function formatIssuesHTML(issues, limit = 10) {
+    const { escapeHtml } = window.Html;
+    const shown = issues.slice(0, limit).map(issue =>
+        `<li><span class="mono text-accent/80">${escapeHtml(issue.path)}</span> — ${escapeHtml(issue.message)}</li>`
+    );
+    if (issues.length > limit) {
+        shown.push(`<li>…and ${issues.length - limit} more</li>`);
+    }
+    return `<ul class="text-xs text-left space-y-1">${shown.join('')}</ul>`;
+}
+
+// Export functions for use in HTML files
+if (typeof window !== 'undefined') {
+    window.TDPValidator = {
+        validateDeckManifest,
+        validatePackageManifest,
+        formatIssuesHTML,
+        TDPValidationError
+    };
+}
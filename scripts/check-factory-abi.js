@@ -0,0 +1,83 @@
+/**
+ * Check src/abi/ContentPassFactory.json against a deployed factory's bytecode
+ * Solidity's dispatcher pushes every external function selector (PUSH4) and every
+ * emitted event topic (PUSH32) as a constant, so an ABI entry whose selector or topic is
+ * missing from the runtime code is not implemented by that deployment. Events the
+ * contract never emits (e.g. ERC-1155 URI when URIs are not set per token) are missing too.
+ * Entries the bytecode lacks are listed and the script exits with 1.
+ *
+ * Run with `npm run check:abi`; settings come from the environment:
+ *   FACTORY_RPC_URL (https://rpc.api.moonbase.moonbeam.network),
+ *   FACTORY_ADDRESS (0xBFF26E227Cb5fb0Feb0D18250C0a655A6066C865, Moonbase Alpha V2.1)
+ */
+
+import { createRequire } from 'node:module';
+import { keccakAsHex } from '@polkadot/util-crypto';
+import EvmContract from '../src/evm-contract.js';
+import { pushedConstants, pushesConstant } from '../src/bytecode.js';
+
+const factoryAbi = createRequire(import.meta.url)('../src/abi/ContentPassFactory.json');
+
+async function getCode(rpcUrl, address) {
+    const response = await fetch(rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_getCode', params: [address, 'latest'] })
+    });
+    if (!response.ok) {
+        throw new Error(`${rpcUrl} answered ${response.status}`);
+    }
+    const body = await response.json();
+    if (body.error) {
+        throw new Error(`eth_getCode failed: ${body.error.message}`);
+    }
+    return body.result.toLowerCase();
+}
+
+/**
+ * Selector or topic of each ABI entry, and whether the bytecode pushes it
+ * @returns {Array<{ kind: string, signature: string, id: string, found: boolean }>}
+ */
+function checkAbi(abi, code) {
+    const constants = pushedConstants(code);
+    const codec = new EvmContract(null, '0x0000000000000000000000000000000000000000', abi, null);
+    const functions = Object.values(codec.fragments).map(fragment => {
+        const id = keccakAsHex(fragment.signature).slice(0, 10);
+        return { kind: 'function', signature: fragment.signature, id, found: pushesConstant(constants, id) };
+    });
+    const events = Object.values(codec.events).map(event => ({
+        kind: 'event',
+        signature: event.signature,
+        id: event.topic,
+        found: pushesConstant(constants, event.topic)
+    }));
+    return [...functions, ...events];
+}
+
+async function main() {
+    const rpcUrl = process.env.FACTORY_RPC_URL || 'https://rpc.api.moonbase.moonbeam.network';
+    const address = process.env.FACTORY_ADDRESS || '0xBFF26E227Cb5fb0Feb0D18250C0a655A6066C865';
+
+    const code = await getCode(rpcUrl, address);
+    if (code === '0x') {
+        throw new Error(`No contract at ${address} on ${rpcUrl}`);
+    }
+
+    const results = checkAbi(factoryAbi, code);
+    results.forEach(({ kind, signature, id, found }) => {
+        console.log(`${found ? '✓' : '✗'} ${kind.padEnd(8)} ${id.slice(0, 10)}  ${signature}`);
+    });
+
+    const missing = results.filter(result => !result.found);
+    if (missing.length > 0) {
+        console.error(`\n❌ ${missing.length} ABI entries are not in the bytecode at ${address}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`\n✅ All ${results.length} ABI entries found in the bytecode at ${address}`);
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
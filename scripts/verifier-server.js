@@ -0,0 +1,202 @@
+/**
+ * Local sign-in verifier
+ * A minimal gated-content endpoint for development and tests, built on
+ * src/sign-in-verifier.js. Nonces and sessions live in memory.
+ *
+ *   GET  /nonce               → { nonce }
+ *   POST /verify              { message, signature } → { token, session }
+ *   GET  /session             Authorization: Bearer <token> → { session }
+ *   GET  /access/<contentId>  Authorization: Bearer <token> → { contentId, evmAddress }
+ *                             Ownership is checked again, as passes can change hands mid-session
+ * Errors answer { code, error, details } with the SignInError code.
+ *
+ * Run with `npm run verifier`; settings come from the environment:
+ *   VERIFIER_PORT (8787), VERIFIER_DOMAIN (localhost:5173), VERIFIER_CHAIN_ID (1281),
+ *   VERIFIER_RPC_URLS (http://127.0.0.1:9944, comma-separated), VERIFIER_FACTORY_ADDRESS
+ * Tests can start one with createVerifierServer(options).listen(0)
+ */
+
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { SignInError, generateNonce } from '../src/sign-in-message.js';
+import { getPassBalances, verifySignIn } from '../src/sign-in-verifier.js';
+
+const NONCE_TTL = 5 * 60 * 1000; // A nonce must be used within this time (ms)
+const MAX_BODY = 16 * 1024;
+
+// HTTP status per SignInError code; anything else is a bad request
+const ERROR_STATUS = {
+    INVALID_SIGNATURE: 401,
+    INVALID_NONCE: 401,
+    EXPIRED: 401,
+    NOT_YET_VALID: 401,
+    UNAUTHORIZED: 401,
+    NOT_OWNED: 403,
+    NOT_FOUND: 404
+};
+
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new SignInError('INVALID_REQUEST', 'Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new SignInError('INVALID_REQUEST', 'Request body is not JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Create the verifier (not yet listening)
+ * @param {object} options
+ * @param {string} options.domain - Host the sign-in messages must name
+ * @param {number} options.chainId
+ * @param {string|Array<string>} options.rpcUrls - JSON-RPC endpoints for ownership checks
+ * @param {string} options.factoryAddress
+ * @param {function} options.getBalances - Replaces the on-chain lookup, e.g. in tests without a node
+ * @param {string} options.allowedOrigin - Access-Control-Allow-Origin (default '*')
+ * @returns {http.Server}
+ */
+function createVerifierServer({
+    domain,
+    chainId,
+    rpcUrls,
+    factoryAddress,
+    getBalances = getPassBalances,
+    allowedOrigin = '*'
+}) {
+    if (!domain || !chainId) {
+        throw new Error('The verifier needs a domain and chain ID');
+    }
+    if (getBalances === getPassBalances && (!rpcUrls || !factoryAddress)) {
+        throw new Error('The verifier needs RPC URLs and a factory address to check pass ownership');
+    }
+
+    const nonces = new Map();   // nonce -> expiry (ms)
+    const sessions = new Map(); // token -> session
+
+    function issueNonce() {
+        const now = Date.now();
+        nonces.forEach((expiresAt, nonce) => {
+            if (expiresAt <= now) nonces.delete(nonce);
+        });
+        const nonce = generateNonce();
+        nonces.set(nonce, now + NONCE_TTL);
+        return nonce;
+    }
+
+    function consumeNonce(nonce) {
+        const expiresAt = nonces.get(nonce);
+        nonces.delete(nonce);
+        return expiresAt > Date.now();
+    }
+
+    function authorize(request) {
+        const token = request.headers.authorization?.match(/^Bearer (\S+)$/)?.[1];
+        const session = token && sessions.get(token);
+        if (!session) {
+            throw new SignInError('UNAUTHORIZED', 'Sign in first');
+        }
+        if (session.expiresAt.getTime() <= Date.now()) {
+            sessions.delete(token);
+            throw new SignInError('EXPIRED', 'The session has expired');
+        }
+        return session;
+    }
+
+    async function route(request) {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'GET' && pathname === '/nonce') {
+            return { nonce: issueNonce() };
+        }
+
+        if (request.method === 'POST' && pathname === '/verify') {
+            const { message, signature } = await readJson(request);
+            if (typeof message !== 'string' || typeof signature !== 'string') {
+                throw new SignInError('INVALID_REQUEST', 'message and signature are required');
+            }
+            const session = await verifySignIn({ message, signature }, {
+                domain, chainId, rpcUrls, factoryAddress, getBalances, consumeNonce
+            });
+            const token = randomBytes(32).toString('hex');
+            sessions.set(token, session);
+            console.log(`🔑 ${session.evmAddress} signed in for content ${session.contentIds.join(', ') || '(none)'}`);
+            return { token, session };
+        }
+
+        if (request.method === 'GET' && pathname === '/session') {
+            return { session: authorize(request) };
+        }
+
+        const access = pathname.match(/^\/access\/(\d+)$/);
+        if (request.method === 'GET' && access) {
+            const session = authorize(request);
+            const contentId = Number(access[1]);
+            if (!session.contentIds.includes(contentId)) {
+                throw new SignInError('NOT_OWNED', `This session was not granted content ${contentId}`);
+            }
+            const balances = await getBalances({ rpcUrls, factoryAddress, owner: session.evmAddress, contentIds: [contentId] });
+            if (!(BigInt(balances[contentId] ?? 0) > 0n)) {
+                throw new SignInError('NOT_OWNED', `${session.evmAddress} no longer holds a pass for content ${contentId}`);
+            }
+            return { contentId, evmAddress: session.evmAddress };
+        }
+
+        throw new SignInError('NOT_FOUND', `No route for ${request.method} ${pathname}`);
+    }
+
+    return http.createServer(async (request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+
+        let status = 200;
+        let body;
+        try {
+            body = await route(request);
+        } catch (error) {
+            if (error instanceof SignInError) {
+                status = ERROR_STATUS[error.code] || 400;
+                body = { code: error.code, error: error.message, details: error.details };
+            } else {
+                console.error('Verifier error:', error);
+                status = 500;
+                body = { code: 'VERIFIER_ERROR', error: error.message };
+            }
+        }
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { env } = process;
+    const port = Number(env.VERIFIER_PORT || 8787);
+    const server = createVerifierServer({
+        domain: env.VERIFIER_DOMAIN || 'localhost:5173',
+        chainId: Number(env.VERIFIER_CHAIN_ID || 1281),
+        rpcUrls: (env.VERIFIER_RPC_URLS || 'http://127.0.0.1:9944').split(','),
+        factoryAddress: env.VERIFIER_FACTORY_ADDRESS
+    });
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`🔐 Sign-in verifier listening on http://127.0.0.1:${port}`);
+    });
+}
+
+export { createVerifierServer };
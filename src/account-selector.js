@@ -0,0 +1,226 @@
+/**
+ * Wallet and account selection
+ * Renders the wallet chooser (Polkadot extensions and EVM wallets together),
+ * lists a wallet's accounts grouped by extension and remembers the chosen one
+ */
+
+import { escapeHtml } from './html.js';
+
+const SELECTED_ACCOUNT_KEY = 'tesserarx_selected_account';
+const PICKER_ID = 'accountPicker';
+
+// Display names for extension sources (account.meta.source)
+const EXTENSION_NAMES = {
+    'polkadot-js': 'Polkadot.js',
+    'talisman': 'Talisman',
+    'subwallet-js': 'SubWallet',
+    'enkrypt': 'Enkrypt',
+    'fearless-wallet': 'Fearless',
+    'polkagate': 'PolkaGate'
+};
+
+function shortAddress(address) {
+    return address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—';
+}
+
+/**
+ * Substrate address of the account chosen last, if any
+ */
+function loadSelectedAddress() {
+    return localStorage.getItem(SELECTED_ACCOUNT_KEY);
+}
+
+function saveSelectedAddress(address) {
+    localStorage.setItem(SELECTED_ACCOUNT_KEY, address);
+}
+
+/**
+ * The remembered account if the extensions still expose it, otherwise the first one
+ * @param {function} isUsable - (account) => boolean; accounts failing it are skipped
+ */
+function pickAccount(accounts, isUsable = () => true) {
+    const usable = accounts.filter(isUsable);
+    const saved = loadSelectedAddress();
+    return usable.find(account => account.address === saved) || usable[0] || null;
+}
+
+/**
+ * Group accounts by the extension that injected them
+ * @param {Array} accounts - From web3Accounts()
+ * @param {function} mapAccount - (account) => { type, evmAddress, canControlEvm, warning }, see address-mapping.js
+ * @returns {Array<{ source: string, name: string, accounts: Array<object> }>}
+ */
+function groupAccountsBySource(accounts, mapAccount) {
+    const groups = new Map();
+
+    accounts.forEach(account => {
+        const source = account.meta?.source || 'unknown';
+        if (!groups.has(source)) {
+            groups.set(source, { source, name: EXTENSION_NAMES[source] || source, accounts: [] });
+        }
+        const mapping = mapAccount(account);
+        groups.get(source).accounts.push({
+            account,
+            address: account.address,
+            name: account.meta?.name || 'Unnamed',
+            type: mapping.type,
+            evmAddress: mapping.evmAddress,
+            canControlEvm: mapping.canControlEvm,
+            warning: mapping.warning
+        });
+    });
+
+    return [...groups.values()];
+}
+
+/**
+ * Show the account picker
+ * @param {Array} accounts - From web3Accounts()
+ * @param {object} options
+ * @param {function} options.mapAccount - (account) => EVM mapping; accounts that cannot control EVM assets are shown disabled
+ * @param {string} options.selected - Substrate address to highlight
+ * @returns {Promise<object|null>} The chosen account, or null if the picker was closed
+ */
+function showAccountPicker(accounts, { mapAccount, selected = null }) {
+    closeAccountPicker();
+
+    return new Promise(resolve => {
+        const groups = groupAccountsBySource(accounts, mapAccount);
+        const picker = document.createElement('div');
+        picker.id = PICKER_ID;
+        picker.className = 'fixed inset-0 bg-black/90 backdrop-blur-sm flex items-center justify-center z-[60] p-4';
+
+        picker.innerHTML = `
+            <div class="glass rounded-2xl p-8 max-w-lg w-full max-h-[85vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-6">
+                    <h3 class="text-2xl font-light text-accent">Choose Account</h3>
+                    <button data-close class="text-muted hover:text-text text-2xl transition-colors">&times;</button>
+                </div>
+                ${groups.map(group => `
+                    <div class="mb-6">
+                        <div class="mono text-micro text-muted/70 uppercase mb-3">${escapeHtml(group.name)}</div>
+                        <div class="space-y-2">
+                            ${group.accounts.map(entry => `
+                                <button
+                                    ${entry.canControlEvm ? `data-address="${escapeHtml(entry.address)}"` : 'disabled'}
+                                    class="w-full text-left rounded-xl p-4 border transition-all ${!entry.canControlEvm
+                                        ? 'border-border/50 bg-surface/30 opacity-60 cursor-not-allowed'
+                                        : entry.address === selected
+                                            ? 'border-accent/50 bg-accent/5'
+                                            : 'border-border/50 bg-surface/50 hover:border-accent/30'}"
+                                >
+                                    <div class="flex justify-between items-center mb-2">
+                                        <span class="text-text">${escapeHtml(entry.name)}</span>
+                                        <span class="badge border-border bg-surface/50 text-muted/70">${escapeHtml(entry.type)}</span>
+                                    </div>
+                                    <div class="font-mono text-xs text-muted" title="${escapeHtml(entry.address)}">Substrate ${escapeHtml(shortAddress(entry.address))}</div>
+                                    <div class="font-mono text-xs text-muted" title="${escapeHtml(entry.evmAddress)}">EVM ${escapeHtml(shortAddress(entry.evmAddress))}</div>
+                                    ${entry.warning ? `<div class="text-xs text-amber-400 mt-2">⚠ ${escapeHtml(entry.warning)}</div>` : ''}
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        const finish = account => {
+            closeAccountPicker();
+            resolve(account);
+        };
+
+        picker.addEventListener('click', event => {
+            const option = event.target.closest('[data-address]');
+            if (option) {
+                finish(accounts.find(account => account.address === option.dataset.address) || null);
+            } else if (event.target === picker || event.target.closest('[data-close]')) {
+                finish(null);
+            }
+        });
+
+        document.body.appendChild(picker);
+    });
+}
+
+/**
+ * Show every available wallet in one chooser
+ * @param {Array} wallets - Adapters from discoverWallets()
+ * @returns {Promise<object|null>} The chosen adapter, or null if the chooser was closed
+ */
+function showWalletChooser(wallets) {
+    closeAccountPicker();
+
+    return new Promise(resolve => {
+        const sections = [
+            { title: 'Polkadot', wallets: wallets.filter(wallet => wallet.kind === 'polkadot') },
+            { title: 'Ethereum', wallets: wallets.filter(wallet => wallet.kind === 'evm') }
+        ].filter(section => section.wallets.length > 0);
+
+        const picker = document.createElement('div');
+        picker.id = PICKER_ID;
+        picker.className = 'fixed inset-0 bg-black/90 backdrop-blur-sm flex items-center justify-center z-[60] p-4';
+
+        picker.innerHTML = `
+            <div class="glass rounded-2xl p-8 max-w-lg w-full max-h-[85vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-6">
+                    <h3 class="text-2xl font-light text-accent">Connect Wallet</h3>
+                    <button data-close class="text-muted hover:text-text text-2xl transition-colors">&times;</button>
+                </div>
+                ${sections.map(section => `
+                    <div class="mb-6">
+                        <div class="mono text-micro text-muted/70 uppercase mb-3">${section.title}</div>
+                        <div class="space-y-2">
+                            ${section.wallets.map(wallet => `
+                                <button
+                                    data-wallet="${escapeHtml(wallet.id)}"
+                                    class="w-full text-left rounded-xl p-4 border border-border/50 bg-surface/50 hover:border-accent/30 transition-all flex items-center gap-4"
+                                >
+                                    ${wallet.icon
+                                        ? `<img src="${escapeHtml(wallet.icon)}" alt="" class="w-8 h-8 rounded-lg">`
+                                        : '<div class="w-8 h-8 rounded-lg bg-surface border border-border/50"></div>'}
+                                    <div>
+                                        <div class="text-text">${escapeHtml(wallet.name)}</div>
+                                        ${wallet.extensions?.length
+                                            ? `<div class="text-xs text-muted">${escapeHtml(wallet.extensions.join(', '))}</div>`
+                                            : ''}
+                                    </div>
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        const finish = wallet => {
+            closeAccountPicker();
+            resolve(wallet);
+        };
+
+        picker.addEventListener('click', event => {
+            const option = event.target.closest('[data-wallet]');
+            if (option) {
+                finish(wallets.find(wallet => wallet.id === option.dataset.wallet) || null);
+            } else if (event.target === picker || event.target.closest('[data-close]')) {
+                finish(null);
+            }
+        });
+
+        document.body.appendChild(picker);
+    });
+}
+
+function closeAccountPicker() {
+    document.getElementById(PICKER_ID)?.remove();
+}
+
+export {
+    SELECTED_ACCOUNT_KEY,
+    EXTENSION_NAMES,
+    loadSelectedAddress,
+    saveSelectedAddress,
+    pickAccount,
+    groupAccountsBySource,
+    showAccountPicker,
+    showWalletChooser
+};
@@ -0,0 +1,87 @@
+/**
+ * Account → EVM (H160) address mapping by key type
+ * Moonbeam accounts are 20-byte Ethereum addresses controlled by secp256k1 keys (AccountId20):
+ * - ethereum: the account address is the H160 itself
+ * - ecdsa: the H160 is the last 20 bytes of keccak256 of the uncompressed public key, as on
+ *   Ethereum. The account's SS58 address is blake2_256 of the key, so the key itself is needed.
+ *   Wallet extensions only share the SS58 address, so ecdsa extension accounts cannot be
+ *   mapped; the key is available when recovered from a signature (sign-in-verifier.js)
+ * - sr25519 / ed25519: no Moonbeam account exists for these keys and they cannot sign
+ *   EVM transactions; there is no H160 to use
+ * Call after cryptoWaitReady(): without the WASM crypto, secp256k1 key expansion is wrong
+ */
+
+import {
+    blake2AsU8a,
+    cryptoIsReady,
+    decodeAddress,
+    ethereumEncode,
+    isEthereumAddress
+} from '@polkadot/util-crypto';
+import { hexToU8a, u8aEq } from '@polkadot/util';
+
+const EVM_KEY_TYPES = ['ethereum', 'ecdsa'];
+
+/**
+ * Key type of an injected account; older extensions leave `type` unset
+ */
+function detectKeyType(account) {
+    if (account.type) return account.type;
+    return isEthereumAddress(account.address) ? 'ethereum' : 'sr25519';
+}
+
+/**
+ * H160 for a secp256k1 public key (33-byte compressed or 65-byte uncompressed)
+ */
+function evmAddressFromPublicKey(publicKey) {
+    const key = typeof publicKey === 'string' ? hexToU8a(publicKey) : publicKey;
+    if (key.length !== 33 && key.length !== 65) {
+        throw new Error(`Expected a 33 or 65 byte secp256k1 public key, got ${key.length} bytes`);
+    }
+    if (!cryptoIsReady()) {
+        throw new Error('Crypto is not initialized; await cryptoWaitReady() before mapping public keys');
+    }
+    return ethereumEncode(key);
+}
+
+function unsupported(type, warning) {
+    return { type, evmAddress: null, canControlEvm: false, warning };
+}
+
+/**
+ * Map an account to the EVM address Moonbeam uses for it
+ * @param {object} account - { address, type, publicKey? }, e.g. from web3Accounts(), which never
+ *   includes publicKey
+ * @returns {{ type: string, evmAddress: string|null, canControlEvm: boolean, warning: string|null }}
+ *   evmAddress is checksummed; warning explains why an account cannot control EVM assets
+ */
+function mapAccountToEvm(account) {
+    const type = detectKeyType(account);
+
+    if (type === 'ethereum') {
+        if (!isEthereumAddress(account.address)) {
+            return unsupported(type, `${account.address} is not a valid Ethereum address.`);
+        }
+        return { type, evmAddress: ethereumEncode(account.address), canControlEvm: true, warning: null };
+    }
+
+    if (type === 'ecdsa') {
+        if (!account.publicKey) {
+            return unsupported(type, 'Wallet extensions do not share the public key of ecdsa accounts, and the EVM address cannot be derived without it. Import the key as an Ethereum account in your wallet extension.');
+        }
+        const publicKey = typeof account.publicKey === 'string' ? hexToU8a(account.publicKey) : account.publicKey;
+        if (!u8aEq(decodeAddress(account.address), blake2AsU8a(publicKey))) {
+            return unsupported(type, 'The public key does not belong to this ecdsa account.');
+        }
+        return { type, evmAddress: evmAddressFromPublicKey(publicKey), canControlEvm: true, warning: null };
+    }
+
+    return unsupported(type, `This is an ${type} account. Moonbeam accounts are Ethereum (secp256k1) keys, so it cannot hold passes or sign EVM transactions. Add or import an Ethereum account in your wallet extension.`);
+}
+
+export {
+    EVM_KEY_TYPES,
+    detectKeyType,
+    evmAddressFromPublicKey,
+    mapAccountToEvm
+};
@@ -0,0 +1,47 @@
+/**
+ * Constants pushed by EVM runtime code
+ * Solidity's dispatcher pushes every external function selector (PUSH4) and every emitted
+ * event topic (PUSH32), so they tell which ABI entries a deployment implements.
+ * Shared by contract-definition.js and scripts/check-factory-abi.js
+ */
+
+const PUSH1 = 0x60;
+const PUSH32 = 0x7f;
+
+/**
+ * Constant without its leading zero bytes, which the compiler drops (PUSH3 for 0x00fdd58e)
+ */
+function stripConstant(constant) {
+    return constant.replace(/^0x/, '').replace(/^(00)+/, '');
+}
+
+/**
+ * Every constant the bytecode pushes, found by walking its opcodes so that
+ * PUSH data and metadata bytes that happen to contain a selector are not counted
+ * @param {string} code - Runtime bytecode as hex (eth_getCode)
+ * @returns {Set<string>} Constants as lowercase hex, leading zero bytes stripped
+ */
+function pushedConstants(code) {
+    const hex = code.replace(/^0x/, '').toLowerCase();
+    const constants = new Set();
+    for (let offset = 0; offset < hex.length; offset += 2) {
+        const opcode = parseInt(hex.slice(offset, offset + 2), 16);
+        if (opcode >= PUSH1 && opcode <= PUSH32) {
+            const length = (opcode - PUSH1 + 1) * 2;
+            constants.add(stripConstant(hex.slice(offset + 2, offset + 2 + length)));
+            offset += length;
+        }
+    }
+    return constants;
+}
+
+/**
+ * Whether the bytecode pushes a selector or topic
+ * @param {Set<string>} constants - From pushedConstants()
+ * @param {string} id - 0x-prefixed selector or topic
+ */
+function pushesConstant(constants, id) {
+    return constants.has(stripConstant(id.toLowerCase()));
+}
+
+export { pushedConstants, pushesConstant };
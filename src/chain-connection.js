@@ -0,0 +1,314 @@
+/**
+ * Resilient chain connection
+ * One ApiPromise over the network's WebSocket endpoints, in order of preference.
+ * When the socket drops or the node stops answering, the next endpoint is tried;
+ * once every endpoint has failed, each further round waits longer (exponential backoff).
+ * The ApiPromise stays the same across reconnects and the provider re-subscribes
+ * active subscriptions, so code holding the API keeps working once it is back.
+ * Health (latency, best block, syncing) is published with on('health', handler).
+ */
+
+import { ApiPromise, WsProvider } from '@polkadot/api';
+
+const CONNECTION_SETTINGS = {
+    baseDelay: 1000,        // ms before the second round of endpoints; doubles every round
+    maxDelay: 30000,        // Backoff cap (ms)
+    healthInterval: 15000,  // ms between system_health checks
+    healthTimeout: 10000,   // A check slower than this counts as a dead connection
+    stallTimeout: 90000,    // No new block for this long: the node is stuck, fail over
+    slowLatency: 1000       // Checks slower than this (ms) report the connection as degraded
+};
+
+// connecting → connected ⇄ degraded (syncing or slow) → reconnecting → connected, or disconnected
+const CONNECTION_STATES = ['connecting', 'connected', 'degraded', 'reconnecting', 'disconnected'];
+
+/**
+ * Change reconnect and health check timing, e.g. { healthInterval: 30000 }
+ */
+function configureConnection(settings = {}) {
+    Object.assign(CONNECTION_SETTINGS, settings);
+    return { ...CONNECTION_SETTINGS };
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class ChainConnection {
+    /**
+     * @param {object} network - Registry entry from config.js (name, wsUrls)
+     */
+    constructor(network) {
+        if (!network.wsUrls?.length) {
+            throw new Error(`No WebSocket endpoints configured for ${network.name}`);
+        }
+
+        this.network = network;
+        this.endpoints = network.wsUrls;
+        this.provider = null;
+        this.api = null;
+        this.ready = null;
+        this.listeners = {};
+
+        this.failures = 0;              // Attempts failed since the last successful connection
+        this.errors = new Map();        // endpoint -> why it failed last
+        this.socketError = null;
+        this.initial = null;            // Settles the first connect()
+        this.stopped = false;
+        this.reconnectTimer = null;
+        this.healthTimer = null;
+        this.unsubscribeHeads = null;
+        this.lastHeadAt = null;
+
+        this.health = {
+            status: 'disconnected',
+            endpoint: null,
+            latency: null,      // ms for system_health
+            bestBlock: null,
+            syncing: null,
+            peers: null,
+            checkedAt: null,
+            error: null
+        };
+    }
+
+    on(event, handler) {
+        if (event !== 'health') {
+            throw new Error(`Unknown connection event: ${event}`);
+        }
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Connection ${event} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Connect to the first endpoint that answers
+     * Rejects once every endpoint has failed once; drops after that are retried until disconnect()
+     * @returns {Promise<ApiPromise>}
+     */
+    connect() {
+        if (!this.ready) {
+            this.ready = this.open().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async open() {
+        this.stopped = false;
+        this.failures = 0;
+        this.errors.clear();
+
+        // Reconnects are driven from here, so the provider's own fixed-delay retry is off
+        const provider = new WsProvider(this.endpoints, false);
+        provider.on('connected', () => this.handleConnected());
+        provider.on('disconnected', () => this.handleDisconnected());
+        provider.on('error', error => {
+            this.socketError = error?.message || 'connection failed';
+        });
+        this.provider = provider;
+        this.api = new ApiPromise({ provider });
+
+        const connected = new Promise((resolve, reject) => {
+            this.initial = { resolve, reject };
+        });
+        this.updateHealth({ status: 'connecting', error: null });
+        this.openSocket();
+
+        await connected;
+        await this.api.isReady;
+
+        // Provider subscriptions survive reconnects, so this keeps reporting blocks
+        this.unsubscribeHeads = await this.api.rpc.chain.subscribeNewHeads(header => {
+            this.lastHeadAt = Date.now();
+            this.updateHealth({ bestBlock: header.number.toNumber() });
+        });
+        this.startHealthChecks();
+
+        return this.api;
+    }
+
+    openSocket() {
+        this.reconnectTimer = null;
+        if (this.stopped) return;
+
+        this.socketError = null;
+        // Each call moves on to the next endpoint in the list
+        this.provider.connect().catch(error => {
+            this.socketError = error.message;
+            this.handleDisconnected();
+        });
+    }
+
+    handleConnected() {
+        this.failures = 0;
+        this.errors.clear();
+        console.log(`🔌 Connected to ${this.provider.endpoint}`);
+
+        this.initial?.resolve();
+        this.initial = null;
+        this.updateHealth({ status: 'connected', endpoint: this.provider.endpoint, error: null });
+
+        if (this.unsubscribeHeads) {
+            this.startHealthChecks();
+        }
+    }
+
+    handleDisconnected() {
+        this.stopHealthChecks();
+        if (this.stopped) return;
+
+        const endpoint = this.provider.endpoint;
+        const reason = this.socketError || 'connection closed';
+        this.failures++;
+        this.errors.set(endpoint, reason);
+
+        // The first connect() gives up after one round so the caller can report it
+        if (this.initial && this.failures >= this.endpoints.length) {
+            const tried = [...this.errors].map(([url, message]) => `${url} (${message})`).join(', ');
+            this.initial.reject(new Error(`Could not connect to ${this.network.name}; tried ${tried}`));
+            this.initial = null;
+            this.disconnect();
+            return;
+        }
+
+        const delay = this.backoffDelay();
+        console.warn(`⚠ Lost connection to ${endpoint} (${reason}), retrying in ${delay}ms`);
+        this.updateHealth({ status: this.initial ? 'connecting' : 'reconnecting', latency: null, error: `${endpoint}: ${reason}` });
+        this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+    }
+
+    /**
+     * No wait while there are endpoints left to try, then 1s, 2s, 4s ... per round
+     */
+    backoffDelay() {
+        const round = Math.floor(this.failures / this.endpoints.length);
+        if (round === 0) return 0;
+        return Math.min(CONNECTION_SETTINGS.baseDelay * 2 ** (round - 1), CONNECTION_SETTINGS.maxDelay);
+    }
+
+    /**
+     * Drop the current endpoint and move on to the next one
+     */
+    failover(reason) {
+        if (!this.provider?.isConnected) return;
+        console.warn(`⚠ ${reason}, switching endpoint`);
+        this.socketError = reason;
+        this.provider.disconnect().catch(() => {});
+    }
+
+    startHealthChecks() {
+        this.stopHealthChecks();
+        this.lastHeadAt = Date.now();
+        this.checkHealth();
+        this.healthTimer = setInterval(() => this.checkHealth(), CONNECTION_SETTINGS.healthInterval);
+    }
+
+    stopHealthChecks() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    /**
+     * Measure latency and sync state; fails over when the node is unresponsive or stuck
+     * @returns {Promise<object>} The health snapshot (see getHealth)
+     */
+    async checkHealth() {
+        if (!this.provider?.isConnected) return this.getHealth();
+
+        const endpoint = this.provider.endpoint;
+        const started = Date.now();
+        try {
+            const health = await withTimeout(
+                this.api.rpc.system.health(),
+                CONNECTION_SETTINGS.healthTimeout,
+                `${endpoint} did not answer within ${CONNECTION_SETTINGS.healthTimeout / 1000}s`
+            );
+            const latency = Date.now() - started;
+
+            if (Date.now() - this.lastHeadAt > CONNECTION_SETTINGS.stallTimeout) {
+                throw new Error(`${endpoint} produced no new block for ${CONNECTION_SETTINGS.stallTimeout / 1000}s`);
+            }
+
+            this.updateHealth({
+                latency,
+                syncing: health.isSyncing.isTrue,
+                peers: health.peers.toNumber(),
+                checkedAt: Date.now()
+            });
+        } catch (error) {
+            if (endpoint === this.provider?.endpoint) {
+                this.failover(error.message);
+            }
+        }
+        return this.getHealth();
+    }
+
+    updateHealth(changes) {
+        const health = { ...this.health, ...changes };
+        if (health.status === 'connected' || health.status === 'degraded') {
+            const slow = health.latency !== null && health.latency > CONNECTION_SETTINGS.slowLatency;
+            health.status = health.syncing || slow ? 'degraded' : 'connected';
+        }
+        this.health = health;
+        this.emit('health', this.getHealth());
+    }
+
+    /**
+     * Current connection health
+     * @returns {{ status: string, network: string, endpoint: string|null, latency: number|null, bestBlock: number|null, syncing: boolean|null, peers: number|null, checkedAt: number|null, error: string|null }}
+     *   status is one of CONNECTION_STATES
+     */
+    getHealth() {
+        return { ...this.health, network: this.network.name };
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    async disconnect() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.stopHealthChecks();
+
+        this.initial?.reject(new Error('Connection closed'));
+        this.initial = null;
+
+        if (this.unsubscribeHeads) {
+            this.unsubscribeHeads();
+            this.unsubscribeHeads = null;
+        }
+
+        const api = this.api;
+        this.api = null;
+        this.provider = null;
+        this.ready = null;
+        this.updateHealth({ status: 'disconnected', endpoint: null, latency: null, bestBlock: null, syncing: null, peers: null });
+
+        if (api) {
+            await api.disconnect().catch(error => console.warn('⚠ Failed to close connection:', error));
+        }
+    }
+}
+
+export { CONNECTION_SETTINGS, CONNECTION_STATES, ChainConnection, configureConnection };
@@ -0,0 +1,287 @@
+/**
+ * ContentPassFactory contract definition
+ * Single source for the factory ABI (hand-assembled JSON ABI; abi/README.md lists where each
+ * entry comes from), per-version differences, deployed version detection and typed bindings
+ * for ethers contracts and EvmContract
+ */
+
+import { keccakAsU8a } from '@polkadot/util-crypto';
+import { u8aToHex } from '@polkadot/util';
+import factoryAbi from './abi/ContentPassFactory.json' with { type: 'json' };
+import { formatAbiItem } from './evm-contract.js';
+import { pushedConstants, pushesConstant } from './bytecode.js';
+
+/**
+ * @typedef {object} ContentInfo
+ * @property {string} creator - Creator address
+ * @property {string} name - Deck name
+ * @property {boolean} isFree - Claimable without payment
+ * @property {BigNumber} price - Price in wei
+ * @property {BigNumber|null} referralBasisPoints - Referral share (null on V2.0)
+ * @property {BigNumber} maxSupply - 0 when unlimited
+ * @property {BigNumber} currentSupply - Passes minted so far
+ */
+
+/**
+ * @typedef {object} ContentVersion
+ * @property {string} payloadURI - Encrypted TDP package
+ * @property {string} specificationURI - TDP specification
+ * @property {string} manifestURI - Public manifest
+ * @property {BigNumber} timestamp - Unix seconds
+ * @property {string} reason - Change note
+ * @property {string} updatedBy - Address that published the version
+ */
+
+/**
+ * @typedef {object} FactoryBindings
+ * @property {object} contract - Underlying ethers contract or EvmContract
+ * @property {string} version - Factory version the bindings were built for
+ * @property {function(number): Promise<ContentInfo>} getContentInfo
+ * @property {function(number): Promise<ContentVersion>} getActiveVersion
+ * @property {function(number, number): Promise<ContentVersion>} getVersion
+ * @property {function(number): Promise<BigNumber>} getVersionCount
+ * @property {function(string, number): Promise<BigNumber>} balanceOf
+ * @property {function(string[], number[]): Promise<BigNumber[]>} balanceOfBatch
+ * @property {function(number): Promise<string>} contentCreators
+ * @property {function(number): Promise<BigNumber>} contentPrice
+ * @property {function(number): Promise<string>} uri
+ * @property {function(number, object=): Promise<object>} claim - Resolves with the transaction
+ * @property {function(number, number, object=): Promise<object>} purchase - Resolves with the transaction
+ */
+
+const DEFAULT_FACTORY_VERSION = '2.1';
+const GET_CONTENT_INFO = 'getContentInfo(uint256)';
+
+// V2.0 returned (creator, name, maxSupply, totalMinted, activeVersionIndex, price)
+const LEGACY_CONTENT_INFO_OUTPUTS = [
+    { internalType: 'address', name: 'creator', type: 'address' },
+    { internalType: 'string', name: 'name', type: 'string' },
+    { internalType: 'uint256', name: 'maxSupply', type: 'uint256' },
+    { internalType: 'uint256', name: 'totalMinted', type: 'uint256' },
+    { internalType: 'uint256', name: 'activeVersionIndex', type: 'uint256' },
+    { internalType: 'uint256', name: 'price', type: 'uint256' }
+];
+
+const FACTORY_VERSIONS = {
+    '2.1': {
+        abi: factoryAbi,
+        contentInfoHeadWords: 7
+    },
+    '2.0': {
+        abi: factoryAbi.map(item => (item.type === 'function' && item.name === 'getContentInfo'
+            ? { ...item, outputs: LEGACY_CONTENT_INFO_OUTPUTS }
+            : item)),
+        contentInfoHeadWords: 6
+    }
+};
+
+// Detected version per contract address
+const detectedVersions = new Map();
+// Constants pushed by the deployed code, per contract address (see bytecode.js)
+const deployedConstants = new Map();
+
+/**
+ * Factory ABI for a version
+ * @param {string} version - '2.1' (default) or '2.0'
+ * @param {string} format - 'json' for the artifact entries, 'human' for human-readable strings
+ */
+function getFactoryAbi(version = DEFAULT_FACTORY_VERSION, format = 'json') {
+    const definition = FACTORY_VERSIONS[version];
+    if (!definition) {
+        throw new Error(`Unknown factory version: ${version}`);
+    }
+    return format === 'human' ? definition.abi.map(formatAbiItem).filter(Boolean) : definition.abi;
+}
+
+/**
+ * Run eth_getCode / eth_call through whichever backend the contract uses
+ */
+function rawBackend(contract) {
+    if (contract.api) {
+        return {
+            getCode: async address => (await contract.api.rpc.eth.getCode(address)).toHex(),
+            call: async (address, data) => (await contract.api.rpc.eth.call({ to: address, data })).toHex()
+        };
+    }
+    if (contract.provider) {
+        return {
+            getCode: address => contract.provider.getCode(address),
+            call: (address, data) => contract.provider.call({ to: address, data })
+        };
+    }
+    throw new Error('Contract has no provider or API to query');
+}
+
+/**
+ * Detect which factory version is deployed at the contract's address
+ * getContentInfo's return data starts with a fixed-size head; the offset of the `name`
+ * string (second word) is the head size, which differs between versions
+ * @param {object} contract - ethers contract or EvmContract (any factory ABI)
+ * @param {number} probeId - An existing content ID to query
+ * @returns {Promise<string|null>} '2.1', '2.0', or null if it could not be told
+ */
+async function detectFactoryVersion(contract, probeId = 1) {
+    const address = contract.address.toLowerCase();
+    if (detectedVersions.has(address)) {
+        return detectedVersions.get(address);
+    }
+
+    const backend = rawBackend(contract);
+    const code = await backend.getCode(contract.address);
+    if (!code || code === '0x') {
+        throw new Error(`No contract deployed at ${contract.address}`);
+    }
+
+    let version = null;
+    try {
+        const selector = u8aToHex(keccakAsU8a(GET_CONTENT_INFO).slice(0, 4));
+        const data = selector + BigInt(probeId).toString(16).padStart(64, '0');
+        const result = await backend.call(contract.address, data);
+
+        const nameOffset = Number(BigInt('0x' + result.slice(2 + 64, 2 + 128)));
+        version = Object.keys(FACTORY_VERSIONS)
+            .find(key => FACTORY_VERSIONS[key].contentInfoHeadWords * 32 === nameOffset) || null;
+    } catch (error) {
+        console.warn(`⚠ Could not probe getContentInfo(${probeId}) for version detection:`, error.message);
+    }
+
+    if (version) {
+        detectedVersions.set(address, version);
+        console.log(`✓ ContentPassFactory V${version} at ${contract.address}`);
+    } else {
+        console.warn(`⚠ Unknown ContentPassFactory version at ${contract.address}`);
+    }
+    return version;
+}
+
+/**
+ * Whether the code deployed at the contract's address dispatches a function
+ * For ABI entries not yet checked against the deployment (abi/README.md lists them)
+ * @param {object} contract - ethers contract or EvmContract
+ * @param {string} signature - e.g. 'updateVersion(uint256,string,string,string,string)'
+ * @returns {Promise<boolean>}
+ */
+async function hasFunction(contract, signature) {
+    const address = contract.address.toLowerCase();
+    if (!deployedConstants.has(address)) {
+        const code = await rawBackend(contract).getCode(contract.address);
+        deployedConstants.set(address, pushedConstants(code || '0x'));
+    }
+    const selector = u8aToHex(keccakAsU8a(signature).slice(0, 4));
+    return pushesConstant(deployedConstants.get(address), selector);
+}
+
+/**
+ * Turn an ABI value into plain named data: tuples become objects, arrays are mapped
+ */
+function toNamedValue(param, value) {
+    const arrayMatch = param.type.match(/^(.*)\[\d*\]$/);
+    if (arrayMatch) {
+        const child = { ...param, type: arrayMatch[1] };
+        return [...value].map(item => toNamedValue(child, item));
+    }
+
+    if (param.type === 'tuple') {
+        return Object.fromEntries(param.components.map((component, i) => [
+            component.name || String(i),
+            toNamedValue(component, value[i])
+        ]));
+    }
+
+    return value;
+}
+
+/**
+ * Shape a call result by the ABI outputs; several outputs become an object keyed by name
+ */
+function toNamedOutputs(outputs, result) {
+    if (outputs.length === 0) return result;
+    if (outputs.length === 1) return toNamedValue(outputs[0], result);
+
+    return Object.fromEntries(outputs.map((output, i) => [
+        output.name || String(i),
+        toNamedValue(output, result[i])
+    ]));
+}
+
+/**
+ * Build a method per ABI function, calling through an ethers contract or EvmContract
+ * View functions resolve with named outputs; others resolve with the transaction
+ */
+function bindContract(contract, abi) {
+    const bindings = { contract };
+
+    abi.filter(item => item.type === 'function').forEach(entry => {
+        const isView = entry.stateMutability === 'view' || entry.stateMutability === 'pure' || entry.constant;
+
+        bindings[entry.name] = async (...args) => {
+            const method = contract.methods ? contract.methods[entry.name] : contract[entry.name];
+            if (typeof method !== 'function') {
+                throw new Error(`${entry.name} is not in the contract's ABI`);
+            }
+
+            const result = await method(...args);
+            return isView ? toNamedOutputs(entry.outputs, result) : result;
+        };
+    });
+
+    return bindings;
+}
+
+/**
+ * getContentInfo in the V2.1 shape, whichever version returned it
+ * @returns {ContentInfo}
+ */
+function normalizeContentInfo(info) {
+    if (info.totalMinted !== undefined) {
+        return {
+            creator: info.creator,
+            name: info.name,
+            isFree: BigInt(info.price.toString()) === 0n,
+            price: info.price,
+            referralBasisPoints: null,
+            maxSupply: info.maxSupply,
+            currentSupply: info.totalMinted
+        };
+    }
+
+    return {
+        creator: info.creator,
+        name: info.name,
+        isFree: info.isFree,
+        price: info.price,
+        referralBasisPoints: info.referralBasisPoints,
+        maxSupply: info.maxSupply,
+        currentSupply: info.currentSupply
+    };
+}
+
+/**
+ * Typed bindings for the factory
+ * @param {object} contract - ethers contract or EvmContract built with getFactoryAbi(version)
+ * @param {string} version - Defaults to the version detected at the contract's address
+ * @returns {FactoryBindings}
+ */
+function bindFactory(contract, version = null) {
+    const resolved = version
+        || detectedVersions.get(String(contract.address).toLowerCase())
+        || DEFAULT_FACTORY_VERSION;
+    const bindings = bindContract(contract, getFactoryAbi(resolved));
+
+    const getContentInfo = bindings.getContentInfo;
+    bindings.getContentInfo = async contentId => normalizeContentInfo(await getContentInfo(contentId));
+    bindings.version = resolved;
+
+    return bindings;
+}
+
+export {
+    DEFAULT_FACTORY_VERSION,
+    FACTORY_VERSIONS,
+    getFactoryAbi,
+    detectFactoryVersion,
+    hasFunction,
+    bindContract,
+    bindFactory,
+    normalizeContentInfo
+};
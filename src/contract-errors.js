@@ -0,0 +1,172 @@
+/**
+ * Typed contract errors
+ * Turns node, ethers and Polkadot RPC failures into a ContractError with a
+ * stable `code`, using the decoded revert data where there is any
+ */
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Solidity panic codes
+const PANIC_REASONS = {
+    0x01: 'Assertion failed',
+    0x11: 'Arithmetic overflow or underflow',
+    0x12: 'Division or modulo by zero',
+    0x21: 'Invalid enum value',
+    0x22: 'Invalid storage byte array',
+    0x31: 'pop() on an empty array',
+    0x32: 'Array index out of bounds',
+    0x41: 'Out of memory',
+    0x51: 'Call to an uninitialized function'
+};
+
+// Stable codes, matched by custom error name or by revert reason
+const CONTRACT_ERROR_RULES = [
+    { code: 'ALREADY_CLAIMED', names: ['AlreadyClaimed'], pattern: /already claimed/i },
+    { code: 'SOLD_OUT', names: ['SoldOut', 'MaxSupplyReached', 'ExceedsMaxSupply'], pattern: /sold out|max supply|exceeds supply/i },
+    { code: 'INSUFFICIENT_PAYMENT', names: ['InsufficientPayment', 'IncorrectPayment'], pattern: /insufficient payment|incorrect payment|insufficient value/i },
+    { code: 'NOT_FREE', names: ['NotFree', 'ContentNotFree'], pattern: /not free/i },
+    { code: 'CONTENT_NOT_FOUND', names: ['ContentNotFound', 'InvalidContent'], pattern: /does not exist|invalid content|content not found/i },
+    { code: 'NOT_CREATOR', names: ['NotCreator', 'NotContentCreator'], pattern: /not (the )?creator|only (the )?creator/i },
+    { code: 'NOTHING_TO_WITHDRAW', names: ['NothingToWithdraw', 'NoPendingWithdrawal'], pattern: /nothing to withdraw|no (pending )?(funds|withdrawals?|earnings)/i },
+    { code: 'INSUFFICIENT_FUNDS', names: [], pattern: /insufficient funds|balance too low/i },
+    { code: 'USER_REJECTED', names: [], pattern: /user rejected|rejected by user|cancelled/i }
+];
+
+/**
+ * Error thrown by the contract layer
+ * `code` is stable and safe to branch on; `reason` is the raw revert reason
+ */
+class ContractError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ContractError';
+        this.code = code;
+        this.reason = details.reason ?? null;
+        this.errorName = details.errorName ?? null;
+        this.errorArgs = details.args ?? null;
+        this.panicCode = details.panicCode ?? null;
+        this.data = details.data ?? null;
+        this.method = details.method ?? null;
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * Find ABI-encoded revert data in a (possibly nested) provider error
+ */
+function findRevertData(error) {
+    const seen = new Set();
+    const isRevertData = value => typeof value === 'string'
+        && /^0x[0-9a-fA-F]{8}([0-9a-fA-F]{64})*$/.test(value);
+
+    function search(value, depth) {
+        if (!value || depth > 5 || seen.has(value)) return null;
+        if (isRevertData(value)) return value;
+
+        if (typeof value === 'string') {
+            // JSON-RPC bodies ("body" on ethers errors) carry the data too
+            if (value.startsWith('{')) {
+                try {
+                    return search(JSON.parse(value), depth + 1);
+                } catch (e) {
+                    return null;
+                }
+            }
+            return null;
+        }
+
+        if (typeof value !== 'object') return null;
+        seen.add(value);
+
+        for (const key of ['data', 'error', 'body', 'cause', 'info']) {
+            const found = search(value[key], depth + 1);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    const found = search(error, 0);
+    if (found) return found;
+
+    // Polkadot RPC errors only include the data in the message ("3: execution reverted: 0x...")
+    const matches = String(error?.message || '').match(/0x[0-9a-fA-F]{8}(?:[0-9a-fA-F]{64})+/g);
+    return matches ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Revert reason from an error message, e.g. "execution reverted: Already claimed"
+ */
+function findRevertMessage(error) {
+    const pattern = /reverted(?: with reason string)?:\s*['"]?([^'"\n]+?)['"]?(?::\s*0x[0-9a-fA-F]*)?$/m;
+
+    for (const text of [error?.reason, error?.message]) {
+        const match = typeof text === 'string' ? text.match(pattern) : null;
+        if (match) return match[1].trim();
+    }
+    return typeof error?.reason === 'string' && error.reason ? error.reason : null;
+}
+
+/**
+ * Pick a stable code for a decoded revert
+ */
+function getErrorCode({ errorName, reason, panicCode, message }) {
+    if (panicCode !== null && panicCode !== undefined) return 'PANIC';
+
+    for (const rule of CONTRACT_ERROR_RULES) {
+        if (errorName && rule.names.includes(errorName)) return rule.code;
+        if (reason && rule.pattern.test(reason)) return rule.code;
+        if (message && rule.pattern.test(message)) return rule.code;
+    }
+    return errorName || reason ? 'REVERTED' : 'UNKNOWN';
+}
+
+/**
+ * Convert any error from a contract call into a ContractError
+ * @param {Error} error - Error from the node, ethers or the Polkadot API
+ * @param {function} decodeData - (revertData) => { errorName, args, reason, panicCode } | null
+ * @param {string} method - Contract method that failed
+ * @returns {ContractError}
+ */
+function toContractError(error, decodeData = () => null, method = null) {
+    if (error instanceof ContractError) return error;
+
+    const data = findRevertData(error);
+    let decoded = null;
+    if (data) {
+        try {
+            decoded = decodeData(data);
+        } catch (e) {
+            console.warn('⚠ Could not decode revert data:', data, e);
+        }
+    }
+
+    const details = {
+        reason: decoded?.reason ?? findRevertMessage(error),
+        errorName: decoded?.errorName ?? null,
+        args: decoded?.args ?? null,
+        panicCode: decoded?.panicCode ?? null,
+        data,
+        method,
+        cause: error
+    };
+
+    // Wallet rejections come without revert data
+    if (error?.code === 4001 || error?.code === 'ACTION_REJECTED') {
+        return new ContractError('USER_REJECTED', 'Transaction rejected in wallet', details);
+    }
+
+    const code = getErrorCode({ ...details, message: error?.message });
+    let message;
+    if (details.panicCode !== null) {
+        message = `Panic: ${PANIC_REASONS[details.panicCode] || `code 0x${details.panicCode.toString(16)}`}`;
+    } else if (details.errorName && details.errorName !== 'Error') {
+        message = `${details.errorName}(${(details.args || []).map(String).join(', ')})`;
+    } else {
+        message = details.reason || error?.message || 'Contract call failed';
+    }
+
+    return new ContractError(code, message, details);
+}
+
+export { ContractError, ERROR_SELECTOR, PANIC_SELECTOR, PANIC_REASONS, toContractError, getErrorCode };
@@ -0,0 +1,207 @@
+/**
+ * ERC-1155 helpers for content passes
+ * Work with ethers contracts and EvmContract alike; ids and amounts accept
+ * numbers, decimal strings, BigInt or BigNumber
+ */
+
+import { isEthereumAddress, ethereumEncode } from '@polkadot/util-crypto';
+import { bindContract, getFactoryAbi } from './contract-definition.js';
+
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ERC1155_FUNCTIONS = [
+    'balanceOf',
+    'balanceOfBatch',
+    'uri',
+    'safeTransferFrom',
+    'safeBatchTransferFrom',
+    'setApprovalForAll',
+    'isApprovedForAll',
+    'supportsInterface'
+];
+
+// The standard's functions, taken from the factory artifact
+const ERC1155_ABI = getFactoryAbi().filter(item => item.type === 'function' && ERC1155_FUNCTIONS.includes(item.name));
+
+const boundContracts = new WeakMap();
+
+function bind(contract) {
+    if (!boundContracts.has(contract)) {
+        boundContracts.set(contract, bindContract(contract, ERC1155_ABI));
+    }
+    return boundContracts.get(contract);
+}
+
+function toBigInt(value) {
+    return BigInt(value.toString());
+}
+
+/**
+ * Check an address and return it checksummed
+ * @param {string} address - 0x address; mixed case must match its checksum
+ * @param {string} label - Used in the error message, e.g. 'Recipient'
+ */
+function validateAddress(address, label = 'Address') {
+    const value = String(address || '').trim();
+    if (!value) {
+        throw new Error(`${label} is required`);
+    }
+    if (!value.startsWith('0x')) {
+        throw new Error(`${label} must be an EVM address (0x...), not a Substrate address`);
+    }
+    if (!isEthereumAddress(value)) {
+        throw new Error(`${label} is not a valid EVM address (check its length and checksum)`);
+    }
+    return ethereumEncode(value);
+}
+
+/**
+ * Check a transfer recipient
+ * @param {string} recipient - Address to send to
+ * @param {string} sender - Sending address; sending to yourself is rejected
+ * @returns {string} Checksummed recipient
+ */
+function validateRecipient(recipient, sender = null) {
+    const address = validateAddress(recipient, 'Recipient');
+    if (address === ZERO_ADDRESS) {
+        throw new Error('Recipient cannot be the zero address');
+    }
+    if (sender && address.toLowerCase() === sender.toLowerCase()) {
+        throw new Error('Recipient is the sending account');
+    }
+    return address;
+}
+
+function validateAmount(amount) {
+    let value;
+    try {
+        value = toBigInt(amount);
+    } catch (error) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+    if (value <= 0n) {
+        throw new Error('Amount must be at least 1');
+    }
+    return value;
+}
+
+/**
+ * Token ID as the 64-character lowercase hex used for {id} substitution (EIP-1155 metadata)
+ */
+function toTokenIdHex(id) {
+    return toBigInt(id).toString(16).padStart(64, '0');
+}
+
+/**
+ * Substitute {id} in a token URI template
+ */
+function resolveTokenURI(template, id) {
+    return template.replace(/\{id\}/g, toTokenIdHex(id));
+}
+
+/**
+ * uri(id) with {id} substituted
+ */
+async function getTokenURI(contract, id) {
+    return resolveTokenURI(await bind(contract).uri(id), id);
+}
+
+/**
+ * Balances for several ids at once
+ * @param {string|string[]} accounts - One account for every id, or one per id
+ * @param {Array} ids - Token IDs
+ * @returns {Promise<BigInt[]>}
+ */
+async function balanceOfBatch(contract, accounts, ids) {
+    const owners = Array.isArray(accounts) ? accounts : ids.map(() => accounts);
+    if (owners.length !== ids.length) {
+        throw new Error(`balanceOfBatch: ${owners.length} accounts for ${ids.length} ids`);
+    }
+    if (ids.length === 0) return [];
+
+    const balances = await bind(contract).balanceOfBatch(owners, ids.map(String));
+    return balances.map(toBigInt);
+}
+
+/**
+ * Make sure `from` holds enough of each id before sending
+ */
+async function checkBalances(contract, from, ids, amounts) {
+    const balances = await balanceOfBatch(contract, from, ids);
+    ids.forEach((id, i) => {
+        if (balances[i] < amounts[i]) {
+            throw new Error(`Insufficient balance for token ${id}: have ${balances[i]}, sending ${amounts[i]}`);
+        }
+    });
+}
+
+/**
+ * Transfer passes of one token
+ * @param {object} overrides - Transaction overrides (gas fields, nonce)
+ * @returns {Promise<object>} The transaction; wait() for the receipt
+ */
+async function safeTransferFrom(contract, from, to, id, amount = 1, data = '0x', overrides = null) {
+    const sender = validateAddress(from, 'Sender');
+    const recipient = validateRecipient(to, sender);
+    const value = validateAmount(amount);
+    await checkBalances(contract, sender, [id], [value]);
+
+    const args = [sender, recipient, String(id), value.toString(), data];
+    return bind(contract).safeTransferFrom(...(overrides ? [...args, overrides] : args));
+}
+
+/**
+ * Transfer passes of several tokens in one transaction
+ */
+async function safeBatchTransferFrom(contract, from, to, ids, amounts, data = '0x', overrides = null) {
+    if (ids.length === 0 || ids.length !== amounts.length) {
+        throw new Error(`safeBatchTransferFrom: ${ids.length} ids and ${amounts.length} amounts`);
+    }
+    const sender = validateAddress(from, 'Sender');
+    const recipient = validateRecipient(to, sender);
+    const values = amounts.map(validateAmount);
+    await checkBalances(contract, sender, ids, values);
+
+    const args = [sender, recipient, ids.map(String), values.map(String), data];
+    return bind(contract).safeBatchTransferFrom(...(overrides ? [...args, overrides] : args));
+}
+
+/**
+ * Allow or revoke an operator for all of the caller's passes
+ */
+async function setApprovalForAll(contract, operator, approved, overrides = null) {
+    const address = validateAddress(operator, 'Operator');
+    const args = [address, !!approved];
+    return bind(contract).setApprovalForAll(...(overrides ? [...args, overrides] : args));
+}
+
+async function isApprovedForAll(contract, account, operator) {
+    return bind(contract).isApprovedForAll(validateAddress(account, 'Account'), validateAddress(operator, 'Operator'));
+}
+
+/**
+ * Whether the contract reports ERC-1155 support (ERC-165)
+ */
+async function supportsERC1155(contract) {
+    try {
+        return await bind(contract).supportsInterface(ERC1155_INTERFACE_ID);
+    } catch (error) {
+        return false;
+    }
+}
+
+export {
+    ERC1155_ABI,
+    ERC1155_INTERFACE_ID,
+    validateAddress,
+    validateRecipient,
+    toTokenIdHex,
+    resolveTokenURI,
+    getTokenURI,
+    balanceOfBatch,
+    safeTransferFrom,
+    safeBatchTransferFrom,
+    setApprovalForAll,
+    isApprovedForAll,
+    supportsERC1155
+};
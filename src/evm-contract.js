@@ -1,149 +1,727 @@
 import { ApiPromise } from '@polkadot/api';
-import { hexToU8a, u8aToHex, stringToU8a, u8aConcat } from '@polkadot/util';
-import { keccak256 } from '@polkadot/util-crypto';
+import { hexToU8a, u8aToHex, stringToU8a, u8aToString, u8aConcat } from '@polkadot/util';
+import { keccakAsU8a, ethereumEncode } from '@polkadot/util-crypto';
+import { buildTransactRequest, quoteWithApi } from './gas.js';
+import { toContractError, ERROR_SELECTOR, PANIC_SELECTOR } from './contract-errors.js';
+import { TransactionTracker } from './tx-tracker.js';
+import { NonceManager } from './nonce-manager.js';
+
+/**
+ * Solidity ABI codec
+ * Types are parsed from human-readable ABI strings into
+ * { name, kind: 'elementary' | 'tuple' | 'array', type, components, length, child }
+ */
+
+const WORD_SIZE = 32;
+const PARAM_MODIFIERS = ['indexed', 'memory', 'calldata', 'storage', 'payable'];
+
+/**
+ * Find the parenthesis closing the one at `open`
+ */
+function findClosingParen(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')' && --depth === 0) return i;
+    }
+    throw new Error(`Unbalanced parentheses in ABI: ${text}`);
+}
+
+/**
+ * Split a parameter list on top-level commas
+ */
+function splitParams(text) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')') depth--;
+        if (text[i] === ',' && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize elementary type aliases (uint -> uint256, byte -> bytes1)
+ */
+function normalizeElementaryType(type) {
+    if (type === 'uint' || type === 'int') return `${type}256`;
+    if (type === 'byte') return 'bytes1';
+
+    const match = type.match(/^(u?int)(\d+)$|^bytes(\d+)$/);
+    if (match) {
+        const bits = Number(match[2]);
+        const size = Number(match[3]);
+        if (match[1] && (bits === 0 || bits > 256 || bits % 8 !== 0)) throw new Error(`Invalid ABI type: ${type}`);
+        if (match[3] && (size === 0 || size > 32)) throw new Error(`Invalid ABI type: ${type}`);
+        return type;
+    }
+    if (['address', 'bool', 'string', 'bytes'].includes(type)) return type;
+    throw new Error(`Unsupported ABI type: ${type}`);
+}
+
+/**
+ * Parse one parameter, e.g. "uint256 id", "string[] names" or "tuple(string a, uint8 b)[2] items"
+ */
+function parseParamType(source) {
+    let text = source.trim();
+    let param;
+
+    if (text.startsWith('tuple(') || text.startsWith('(')) {
+        const open = text.indexOf('(');
+        const close = findClosingParen(text, open);
+        param = { kind: 'tuple', components: splitParams(text.slice(open + 1, close)).map(parseParamType) };
+        text = text.slice(close + 1);
+    } else {
+        const match = text.match(/^(\w+)/);
+        if (!match) throw new Error(`Invalid ABI parameter: ${source}`);
+        param = { kind: 'elementary', type: normalizeElementaryType(match[1]) };
+        text = text.slice(match[1].length);
+    }
+
+    // Array suffixes apply innermost first: uint256[2][] is a dynamic array of uint256[2]
+    const suffix = text.match(/^((?:\s*\[\d*\])*)/)[1];
+    for (const [, length] of suffix.matchAll(/\[(\d*)\]/g)) {
+        param = { kind: 'array', length: length === '' ? null : Number(length), child: param };
+    }
+
+    const words = text.slice(suffix.length).trim().split(/\s+/).filter(Boolean);
+    const names = words.filter(word => !PARAM_MODIFIERS.includes(word));
+    if (names.length > 1) throw new Error(`Invalid ABI parameter: ${source}`);
+    param.name = names[0] || '';
+    param.indexed = words.includes('indexed');
+    return param;
+}
+
+/**
+ * Parse a comma-separated parameter list
+ */
+function parseParamList(text) {
+    return splitParams(text || '').map(parseParamType);
+}
+
+/**
+ * Canonical type string used in function selectors
+ */
+function formatParamType(param) {
+    if (param.kind === 'tuple') return `(${param.components.map(formatParamType).join(',')})`;
+    if (param.kind === 'array') return `${formatParamType(param.child)}[${param.length ?? ''}]`;
+    return param.type;
+}
+
+/**
+ * Format a JSON ABI parameter as human-readable, e.g. "tuple(string uri, uint256 ts)[] versions"
+ */
+function formatJsonParam(param) {
+    let type = param.type;
+    if (type.startsWith('tuple')) {
+        type = `tuple(${param.components.map(formatJsonParam).join(', ')})${type.slice('tuple'.length)}`;
+    }
+    return [type, param.indexed ? 'indexed' : null, param.name || null].filter(Boolean).join(' ');
+}
+
+/**
+ * Convert a JSON ABI entry (solc / hardhat artifact) to a human-readable fragment
+ * Strings are returned as-is; constructors, fallback and receive entries return null
+ */
+function formatAbiItem(item) {
+    if (typeof item === 'string') return item;
+
+    const inputs = (item.inputs || []).map(formatJsonParam).join(', ');
+    switch (item.type) {
+        case 'function': {
+            const mutability = item.stateMutability
+                || (item.constant ? 'view' : item.payable ? 'payable' : 'nonpayable');
+            const modifier = mutability === 'nonpayable' ? '' : ` ${mutability}`;
+            const outputs = item.outputs?.length ? ` returns (${item.outputs.map(formatJsonParam).join(', ')})` : '';
+            return `function ${item.name}(${inputs})${modifier}${outputs}`;
+        }
+        case 'event':
+            return `event ${item.name}(${inputs})${item.anonymous ? ' anonymous' : ''}`;
+        case 'error':
+            return `error ${item.name}(${inputs})`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse a human-readable function fragment
+ * e.g. "function getActiveVersion(uint256 contentId) view returns (tuple(string payloadURI, ...))"
+ */
+function parseFunctionFragment(item) {
+    const match = item.match(/^\s*function\s+(\w+)\s*\(/);
+    if (!match) return null;
+
+    const open = match[0].length - 1;
+    const close = findClosingParen(item, open);
+    const rest = item.slice(close + 1);
+    const returnsAt = rest.search(/\breturns\s*\(/);
+
+    let outputs = [];
+    if (returnsAt >= 0) {
+        const returnsOpen = rest.indexOf('(', returnsAt);
+        outputs = parseParamList(rest.slice(returnsOpen + 1, findClosingParen(rest, returnsOpen)));
+    }
+
+    const modifiers = returnsAt >= 0 ? rest.slice(0, returnsAt) : rest;
+    const inputs = parseParamList(item.slice(open + 1, close));
+
+    return {
+        name: match[1],
+        inputs,
+        outputs,
+        isView: /\b(view|pure|constant)\b/.test(modifiers),
+        payable: /\bpayable\b/.test(modifiers),
+        signature: `${match[1]}(${inputs.map(formatParamType).join(',')})`
+    };
+}
+
+/**
+ * Parse a human-readable event fragment
+ * e.g. "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)"
+ */
+function parseEventFragment(item) {
+    const match = item.match(/^\s*event\s+(\w+)\s*\(/);
+    if (!match) return null;
+
+    const open = match[0].length - 1;
+    const close = findClosingParen(item, open);
+    const inputs = parseParamList(item.slice(open + 1, close));
+    const signature = `${match[1]}(${inputs.map(formatParamType).join(',')})`;
+
+    return {
+        name: match[1],
+        inputs,
+        anonymous: /\banonymous\b/.test(item.slice(close + 1)),
+        signature,
+        topic: u8aToHex(keccakAsU8a(signature))
+    };
+}
+
+/**
+ * Parse a human-readable custom error fragment, e.g. "error AlreadyClaimed(uint256 contentId)"
+ */
+function parseErrorFragment(item) {
+    const match = item.match(/^\s*error\s+(\w+)\s*\(/);
+    if (!match) return null;
+
+    const open = match[0].length - 1;
+    const inputs = parseParamList(item.slice(open + 1, findClosingParen(item, open)));
+    const signature = `${match[1]}(${inputs.map(formatParamType).join(',')})`;
+
+    return {
+        name: match[1],
+        inputs,
+        signature,
+        selector: u8aToHex(keccakAsU8a(signature).slice(0, 4))
+    };
+}
+
+function isDynamicType(param) {
+    if (param.kind === 'elementary') return param.type === 'string' || param.type === 'bytes';
+    if (param.kind === 'array') return param.length === null || isDynamicType(param.child);
+    return param.components.some(isDynamicType);
+}
+
+/**
+ * Size of a static type's encoding in bytes
+ */
+function staticSize(param) {
+    if (param.kind === 'tuple') return param.components.reduce((size, c) => size + staticSize(c), 0);
+    if (param.kind === 'array') return param.length * staticSize(param.child);
+    return WORD_SIZE;
+}
+
+/**
+ * Coerce numbers, numeric strings, bigint and ethers BigNumber to BigInt
+ */
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) throw new Error(`Unsafe integer ${value}, pass a string or BigInt`);
+        return BigInt(value);
+    }
+    if (typeof value === 'string') return BigInt(value);
+    if (value && (value._isBigNumber || typeof value.toHexString === 'function')) return BigInt(value.toString());
+    throw new Error(`Cannot convert ${value} to an integer`);
+}
+
+/**
+ * Convert decoded integers to the same type the ethers path returns
+ */
+function toBigNumber(value) {
+    const ethers = typeof window !== 'undefined' ? window.ethers : null;
+    return ethers ? ethers.BigNumber.from(value.toString()) : value;
+}
+
+function wordFromBigInt(value) {
+    const word = new Uint8Array(WORD_SIZE);
+    let remaining = BigInt.asUintN(256, value);
+    for (let i = WORD_SIZE - 1; i >= 0; i--) {
+        word[i] = Number(remaining & 0xFFn);
+        remaining >>= 8n;
+    }
+    return word;
+}
+
+function padRight(bytes) {
+    const padded = new Uint8Array(Math.ceil(bytes.length / WORD_SIZE) * WORD_SIZE);
+    padded.set(bytes);
+    return padded;
+}
+
+function toBytes(value) {
+    if (value instanceof Uint8Array) return value;
+    if (typeof value === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(value)) return hexToU8a(value);
+    throw new Error(`Expected hex string or Uint8Array, got ${value}`);
+}
+
+/**
+ * Tuple values may be arrays or objects keyed by component name
+ */
+function tupleValues(components, value) {
+    if (Array.isArray(value)) {
+        if (value.length !== components.length) {
+            throw new Error(`Expected ${components.length} values, got ${value.length}`);
+        }
+        return value;
+    }
+    if (value && typeof value === 'object') {
+        return components.map(c => {
+            if (!c.name || !(c.name in value)) throw new Error(`Missing tuple field "${c.name}"`);
+            return value[c.name];
+        });
+    }
+    throw new Error(`Expected array or object for tuple, got ${value}`);
+}
+
+function encodeElementary(type, value) {
+    if (type === 'address') {
+        const address = toBytes(value);
+        if (address.length !== 20) throw new Error(`Invalid address: ${value}`);
+        const word = new Uint8Array(WORD_SIZE);
+        word.set(address, WORD_SIZE - 20);
+        return word;
+    }
+
+    if (type === 'bool') {
+        return wordFromBigInt(value ? 1n : 0n);
+    }
+
+    if (type === 'string' || type === 'bytes') {
+        const bytes = type === 'string' ? stringToU8a(value) : toBytes(value);
+        return u8aConcat(wordFromBigInt(BigInt(bytes.length)), padRight(bytes));
+    }
+
+    const intMatch = type.match(/^(u?)int(\d+)$/);
+    if (intMatch) {
+        const bits = BigInt(intMatch[2]);
+        const num = toBigInt(value);
+        const [min, max] = intMatch[1]
+            ? [0n, (1n << bits) - 1n]
+            : [-(1n << (bits - 1n)), (1n << (bits - 1n)) - 1n];
+        if (num < min || num > max) throw new Error(`Value ${num} out of range for ${type}`);
+        return wordFromBigInt(num);
+    }
+
+    // bytesN: left-aligned, right-padded
+    const size = Number(type.slice(5));
+    const bytes = toBytes(value);
+    if (bytes.length !== size) throw new Error(`Expected ${size} bytes for ${type}, got ${bytes.length}`);
+    return padRight(bytes);
+}
+
+/**
+ * Encode a sequence (tuple, array elements or top-level arguments) with head/tail layout
+ */
+function encodeSequence(params, values) {
+    const heads = [];
+    const tails = [];
+    let tailOffset = params.reduce((size, p) => size + (isDynamicType(p) ? WORD_SIZE : staticSize(p)), 0);
+
+    params.forEach((param, i) => {
+        const encoded = encodeValue(param, values[i]);
+        if (isDynamicType(param)) {
+            heads.push(wordFromBigInt(BigInt(tailOffset)));
+            tails.push(encoded);
+            tailOffset += encoded.length;
+        } else {
+            heads.push(encoded);
+        }
+    });
+
+    return u8aConcat(...heads, ...tails);
+}
+
+function encodeValue(param, value) {
+    if (param.kind === 'tuple') {
+        return encodeSequence(param.components, tupleValues(param.components, value));
+    }
+
+    if (param.kind === 'array') {
+        if (!Array.isArray(value)) throw new Error(`Expected array for ${formatParamType(param)}`);
+        if (param.length !== null && value.length !== param.length) {
+            throw new Error(`Expected ${param.length} elements for ${formatParamType(param)}, got ${value.length}`);
+        }
+        const encoded = encodeSequence(value.map(() => param.child), value);
+        return param.length === null
+            ? u8aConcat(wordFromBigInt(BigInt(value.length)), encoded)
+            : encoded;
+    }
+
+    return encodeElementary(param.type, value);
+}
+
+function readWord(data, position) {
+    if (position + WORD_SIZE > data.length) {
+        throw new Error(`ABI decoding out of bounds at ${position} (data length ${data.length})`);
+    }
+    let value = 0n;
+    for (let i = position; i < position + WORD_SIZE; i++) {
+        value = (value << 8n) | BigInt(data[i]);
+    }
+    return value;
+}
+
+function readOffset(data, position) {
+    const offset = readWord(data, position);
+    if (offset > BigInt(data.length)) throw new Error(`ABI decoding: invalid offset ${offset}`);
+    return Number(offset);
+}
+
+function readBytes(data, position, length) {
+    if (position + length > data.length) {
+        throw new Error(`ABI decoding out of bounds at ${position} (data length ${data.length})`);
+    }
+    return data.slice(position, position + length);
+}
+
+function decodeElementary(type, data, position) {
+    if (type === 'address') {
+        return ethereumEncode(readBytes(data, position + 12, 20));
+    }
+
+    if (type === 'bool') {
+        return readWord(data, position) !== 0n;
+    }
+
+    if (type === 'string' || type === 'bytes') {
+        const length = readOffset(data, position);
+        const bytes = readBytes(data, position + WORD_SIZE, length);
+        return type === 'string' ? u8aToString(bytes) : u8aToHex(bytes);
+    }
+
+    const intMatch = type.match(/^(u?)int(\d+)$/);
+    if (intMatch) {
+        const bits = Number(intMatch[2]);
+        const word = readWord(data, position);
+        const value = intMatch[1] ? BigInt.asUintN(bits, word) : BigInt.asIntN(bits, word);
+        // Like ethers, small integers (up to 48 bits) are plain numbers
+        return bits <= 48 ? Number(value) : toBigNumber(value);
+    }
+
+    return u8aToHex(readBytes(data, position, Number(type.slice(5))));
+}
+
+/**
+ * Decode a sequence; named components are also exposed as properties,
+ * matching ethers' Result
+ */
+function decodeSequence(params, data, base) {
+    let cursor = base;
+    const result = params.map(param => {
+        if (isDynamicType(param)) {
+            const value = decodeValue(param, data, base + readOffset(data, cursor));
+            cursor += WORD_SIZE;
+            return value;
+        }
+        const value = decodeValue(param, data, cursor);
+        cursor += staticSize(param);
+        return value;
+    });
+
+    params.forEach((param, i) => {
+        if (param.name && !(param.name in result)) result[param.name] = result[i];
+    });
+    return result;
+}
+
+function decodeValue(param, data, position) {
+    if (param.kind === 'tuple') {
+        return decodeSequence(param.components, data, position);
+    }
+
+    if (param.kind === 'array') {
+        if (param.length === null) {
+            const length = readOffset(data, position);
+            return decodeSequence(Array(length).fill(param.child), data, position + WORD_SIZE);
+        }
+        return decodeSequence(Array(param.length).fill(param.child), data, position);
+    }
+
+    return decodeElementary(param.type, data, position);
+}
+
+/**
+ * Encode a value as an indexed event topic
+ * Strings and bytes are indexed by their keccak256 hash
+ */
+function encodeTopic(param, value) {
+    if (param.kind !== 'elementary') {
+        throw new Error(`Filtering on indexed ${formatParamType(param)} values is not supported`);
+    }
+    if (param.type === 'string') return u8aToHex(keccakAsU8a(stringToU8a(value)));
+    if (param.type === 'bytes') return u8aToHex(keccakAsU8a(toBytes(value)));
+    return u8aToHex(encodeElementary(param.type, value));
+}
+
+/**
+ * Unwrap a Polkadot Option codec (plain values pass through)
+ */
+function unwrapOption(value) {
+    if (value && typeof value.isSome === 'boolean') {
+        return value.isSome ? value.unwrap() : null;
+    }
+    return value ?? null;
+}
+
+function codecToHex(value) {
+    value = unwrapOption(value);
+    if (value === null) return null;
+    return typeof value.toHex === 'function' ? value.toHex() : value.toString();
+}
+
+function codecToNumber(value) {
+    value = unwrapOption(value);
+    if (value === null) return null;
+    return typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+/**
+ * Convert an EthLog (codec or JSON) into the plain shape ethers uses
+ */
+function normalizeLog(log) {
+    return {
+        address: ethereumEncode(codecToHex(log.address)),
+        topics: [...log.topics].map(codecToHex),
+        data: codecToHex(log.data) || '0x',
+        blockNumber: codecToNumber(log.blockNumber),
+        blockHash: codecToHex(log.blockHash),
+        transactionHash: codecToHex(log.transactionHash),
+        transactionIndex: codecToNumber(log.transactionIndex),
+        logIndex: codecToNumber(log.logIndex),
+        removed: log.removed?.isTrue ?? !!log.removed
+    };
+}
+
+/**
+ * Convert an EthReceipt into the shape ethers uses (gas amounts as BigInt)
+ * Returns null while the transaction is still pending
+ */
+function normalizeReceipt(receipt) {
+    const blockNumber = codecToNumber(receipt?.blockNumber);
+    if (blockNumber === null) return null;
+
+    const to = codecToHex(receipt.to);
+    const contractAddress = codecToHex(receipt.contractAddress);
+    const gasUsed = unwrapOption(receipt.gasUsed);
+
+    return {
+        transactionHash: codecToHex(receipt.transactionHash),
+        transactionIndex: codecToNumber(receipt.transactionIndex),
+        blockHash: codecToHex(receipt.blockHash),
+        blockNumber,
+        from: ethereumEncode(codecToHex(receipt.from)),
+        to: to && ethereumEncode(to),
+        contractAddress: contractAddress && ethereumEncode(contractAddress),
+        gasUsed: gasUsed === null ? null : BigInt(gasUsed.toString()),
+        cumulativeGasUsed: BigInt(receipt.cumulativeGasUsed.toString()),
+        logs: [...receipt.logs].map(normalizeLog),
+        status: codecToNumber(receipt.statusCode)
+    };
+}
+
+/**
+ * Normalize a type list: parsed params, type strings, or one comma-separated string
+ */
+function toParams(types) {
+    if (typeof types === 'string') return parseParamList(types);
+    return types.map(type => (typeof type === 'string' ? parseParamType(type) : type));
+}
 
 /**
  * EVM Contract Wrapper for Polkadot SDK
  * Provides interface to interact with EVM contracts on Moonbeam via Ethereum pallet
  */
 class EvmContract {
-    constructor(api, address, abi, signer) {
+    /**
+     * @param {object} options - { batcher, nonceManager, chainId }: a CallBatcher (multicall.js) to merge
+     *   read calls, a NonceManager to share with other senders (e.g. walletManager.nonceManager), and
+     *   the EVM chain ID to sign for (read from the node when omitted)
+     */
+    constructor(api, address, abi, signer, options = {}) {
         this.api = api;
         this.address = address.toLowerCase();
-        this.abi = abi;
-        this.signer = signer; // Polkadot injector
+        this.abi = abi.map(formatAbiItem).filter(Boolean); // Human-readable or JSON ABI
+        this.signer = signer; // Polkadot injector; signer.evmAddress is used as `from` for gas estimation
+        this.fragments = this.parseFragments();
+        this.events = this.parseEvents();
+        this.errors = this.parseErrors();
         this.methods = this.buildMethods();
+        this.listeners = [];
+        this.batcher = options.batcher || null;
+        this.nonceManager = options.nonceManager
+            || new NonceManager(async address => (await this.api.rpc.eth.getTransactionCount(address)).toNumber());
+        this.chainId = options.chainId ?? null;
     }
 
     /**
-     * Build method objects from ABI
+     * EVM chain ID for transactions, read from the node once if not given
      */
-    buildMethods() {
-        const methods = {};
+    async getChainId() {
+        if (this.chainId === null) {
+            this.chainId = (await this.api.rpc.eth.chainId()).toNumber();
+        }
+        return this.chainId;
+    }
+
+    /**
+     * Parse function fragments from the ABI, keyed by name
+     */
+    parseFragments() {
+        const fragments = {};
 
         this.abi.forEach(item => {
-            if (item.includes('function ')) {
-                const match = item.match(/function\s+(\w+)\s*\((.*?)\)/);
-                if (match) {
-                    const methodName = match[1];
-                    const params = match[2];
-                    const isView = item.includes('view') || item.includes('pure');
-
-                    methods[methodName] = (...args) => {
-                        if (isView) {
-                            return this.call(methodName, params, ...args);
-                        } else {
-                            return this.send(methodName, params, ...args);
-                        }
-                    };
-                }
+            const fragment = parseFunctionFragment(item);
+            if (fragment) {
+                fragments[fragment.name] = fragment;
             }
         });
 
-        return methods;
+        return fragments;
     }
 
     /**
-     * Encode function call data
+     * Parse event fragments from the ABI, keyed by name
      */
-    encodeFunctionData(methodName, paramTypes, args) {
-        // Create function signature
-        const signature = `${methodName}(${paramTypes})`;
-        const hash = keccak256(stringToU8a(signature));
-        const selector = hash.slice(0, 4);
+    parseEvents() {
+        const events = {};
 
-        if (args.length === 0) {
-            return u8aToHex(selector);
-        }
-
-        // Simple encoding for common types
-        // For production, use a proper ABI encoder
-        const encodedParams = this.encodeParams(paramTypes.split(',').map(t => t.trim()), args);
+        this.abi.forEach(item => {
+            const event = parseEventFragment(item);
+            if (event) {
+                events[event.name] = event;
+            }
+        });
 
-        return u8aToHex(u8aConcat(selector, encodedParams));
+        return events;
     }
 
     /**
-     * Simple parameter encoding
-     * Note: This is a simplified version. For production, use @ethersproject/abi or similar
+     * Parse custom error fragments from the ABI, keyed by selector
      */
-    encodeParams(types, values) {
-        const encoded = new Uint8Array(types.length * 32);
-        let offset = 0;
-
-        types.forEach((type, i) => {
-            const value = values[i];
-
-            if (type === 'address') {
-                // Address: left-pad to 32 bytes
-                const addr = hexToU8a(value);
-                encoded.set(addr, offset + (32 - addr.length));
-            } else if (type === 'uint256' || type.startsWith('uint')) {
-                // Uint: convert to big-endian 32 bytes
-                const num = BigInt(value);
-                const bytes = new Uint8Array(32);
-                for (let j = 31; j >= 0; j--) {
-                    bytes[j] = Number(num & 0xFFn);
-                    num >>= 8n;
-                }
-                encoded.set(bytes, offset);
-            } else if (type === 'bool') {
-                // Bool: 0 or 1 in 32 bytes
-                encoded[offset + 31] = value ? 1 : 0;
-            }
+    parseErrors() {
+        const errors = {};
 
-            offset += 32;
+        this.abi.forEach(item => {
+            const error = parseErrorFragment(item);
+            if (error) {
+                errors[error.selector] = error;
+            }
         });
 
-        return encoded;
+        return errors;
     }
 
     /**
-     * Decode return data
+     * Decode revert data: Error(string), Panic(uint256) or a custom error from the ABI
+     * @returns {{ errorName, signature, args, reason, panicCode } | null}
      */
-    decodeReturnData(types, data) {
-        if (!data || data === '0x') {
-            return null;
-        }
-
+    decodeRevertData(data) {
         const bytes = hexToU8a(data);
+        const selector = u8aToHex(bytes.slice(0, 4));
+        const body = bytes.slice(4);
 
-        if (types.length === 1) {
-            return this.decodeSingleValue(types[0], bytes);
+        if (selector === ERROR_SELECTOR) {
+            const [reason] = decodeSequence(parseParamList('string'), body, 0);
+            return { errorName: 'Error', signature: 'Error(string)', args: [reason], reason, panicCode: null };
         }
 
-        // Multiple return values
-        const results = [];
-        let offset = 0;
+        if (selector === PANIC_SELECTOR) {
+            const [code] = decodeSequence(parseParamList('uint256'), body, 0);
+            return { errorName: 'Panic', signature: 'Panic(uint256)', args: [code], reason: null, panicCode: Number(code.toString()) };
+        }
 
-        types.forEach(type => {
-            const value = this.decodeSingleValue(type, bytes.slice(offset, offset + 32));
-            results.push(value);
-            offset += 32;
+        const error = this.errors[selector];
+        if (!error) return null;
+
+        const args = decodeSequence(error.inputs, body, 0);
+        return { errorName: error.name, signature: error.signature, args, reason: null, panicCode: null };
+    }
+
+    /**
+     * Build method objects from ABI
+     */
+    buildMethods() {
+        const methods = {};
+
+        Object.values(this.fragments).forEach(fragment => {
+            methods[fragment.name] = (...args) => {
+                if (fragment.isView) {
+                    return this.call(fragment.name, fragment.inputs, ...args);
+                } else {
+                    return this.send(fragment.name, fragment.inputs, ...args);
+                }
+            };
         });
 
-        return results;
+        return methods;
     }
 
-    decodeSingleValue(type, bytes) {
-        if (type === 'address') {
-            return '0x' + u8aToHex(bytes.slice(-20)).slice(2);
-        } else if (type === 'uint256' || type.startsWith('uint')) {
-            let value = 0n;
-            for (let i = 0; i < bytes.length; i++) {
-                value = (value << 8n) | BigInt(bytes[i]);
-            }
-            return value.toString();
-        } else if (type === 'bool') {
-            return bytes[31] === 1;
-        } else if (type === 'string') {
-            // Simple string decoding
-            const length = Number(this.decodeSingleValue('uint256', bytes.slice(32, 64)));
-            const strBytes = bytes.slice(64, 64 + length);
-            return new TextDecoder().decode(strBytes);
+    /**
+     * Encode function call data
+     * @param {string|Array} paramTypes - Input types, e.g. 'uint256,address' or parsed params
+     */
+    encodeFunctionData(methodName, paramTypes, args) {
+        const params = toParams(paramTypes);
+        if (args.length !== params.length) {
+            throw new Error(`${methodName} expects ${params.length} arguments, got ${args.length}`);
         }
 
-        return u8aToHex(bytes);
+        // Create function signature
+        const signature = `${methodName}(${params.map(formatParamType).join(',')})`;
+        const hash = keccakAsU8a(signature);
+        const selector = hash.slice(0, 4);
+
+        return u8aToHex(u8aConcat(selector, this.encodeParams(params, args)));
+    }
+
+    /**
+     * Encode parameters per the Solidity ABI spec
+     */
+    encodeParams(types, values) {
+        return encodeSequence(toParams(types), values);
+    }
+
+    /**
+     * Decode return data
+     * A single return value is returned as-is; several are returned as a Result array
+     */
+    decodeReturnData(types, data) {
+        if (!data || data === '0x') {
+            return null;
+        }
+
+        const params = toParams(types);
+        const result = decodeSequence(params, hexToU8a(data), 0);
+
+        return params.length === 1 ? result[0] : result;
     }
 
     /**
@@ -153,183 +731,382 @@ class EvmContract {
         const data = this.encodeFunctionData(methodName, paramTypes, args);
 
         try {
-            // Use eth_call via Moonbeam's Ethereum compatibility
-            const result = await this.api.rpc.eth.call({
-                to: this.address,
-                data: data
-            });
-
-            // Parse return type from ABI
-            const abiItem = this.abi.find(item => item.includes(`function ${methodName}`));
-            const returnMatch = abiItem.match(/returns\s*\((.*?)\)/);
+            // Use eth_call via Moonbeam's Ethereum compatibility; batched reads share one request
+            const request = { to: this.address, data: data };
+            const result = this.batcher
+                ? await this.batcher.call(request)
+                : await this.api.rpc.eth.call(request);
 
-            if (!returnMatch) {
+            // Decode with the return types from the ABI
+            const fragment = this.fragments[methodName];
+            if (!fragment || fragment.outputs.length === 0) {
                 return result;
             }
 
-            const returnTypes = returnMatch[1].split(',').map(t => t.trim().split(' ')[0]);
-            return this.decodeReturnData(returnTypes, result.toString());
+            return this.decodeReturnData(fragment.outputs, result.toString());
         } catch (error) {
             console.error(`Contract call failed (${methodName}):`, error);
-            throw error;
+            throw toContractError(error, data => this.decodeRevertData(data), methodName);
         }
     }
 
     /**
-     * Send a transaction (state-changing function)
+     * Run a state-changing call with eth_call so reverts surface before signing
      */
-    async send(methodName, paramTypes, ...args) {
-        const options = args[args.length - 1];
-        const hasOptions = typeof options === 'object' && options !== null && !Array.isArray(options);
-        const callArgs = hasOptions ? args.slice(0, -1) : args;
-
-        const data = this.encodeFunctionData(methodName, paramTypes, callArgs);
-
+    async simulate(data, options, methodName) {
         try {
-            // Create transaction via Ethereum pallet
-            const tx = this.api.tx.ethereum.transact({
+            await this.api.rpc.eth.call({
+                from: options.from || this.signer?.evmAddress,
                 to: this.address,
-                data: data,
-                value: options?.value ? BigInt(options.value) : 0n,
-                gasLimit: options?.gasLimit ? BigInt(options.gasLimit) : 100000n,
-                maxFeePerGas: options?.maxFeePerGas ? BigInt(options.maxFeePerGas) : 1000000000n,
-                maxPriorityFeePerGas: options?.maxPriorityFeePerGas ? BigInt(options.maxPriorityFeePerGas) : 1000000000n
-            });
-
-            // Sign and send
-            return new Promise((resolve, reject) => {
-                tx.signAndSend(
-                    this.signer.address,
-                    { signer: this.signer.signer },
-                    ({ status, events, dispatchError }) => {
-                        if (dispatchError) {
-                            if (dispatchError.isModule) {
-                                const decoded = this.api.registry.findMetaError(dispatchError.asModule);
-                                reject(new Error(`${decoded.section}.${decoded.name}: ${decoded.docs}`));
-                            } else {
-                                reject(new Error(dispatchError.toString()));
-                            }
-                        } else if (status.isFinalized) {
-                            resolve({
-                                hash: tx.hash.toHex(),
-                                blockHash: status.asFinalized.toHex(),
-                                events: events,
-                                wait: async () => ({ hash: tx.hash.toHex() })
-                            });
-                        }
-                    }
-                ).catch(reject);
+                data,
+                value: options.value ? BigInt(options.value.toString()) : null
             });
         } catch (error) {
-            console.error(`Contract send failed (${methodName}):`, error);
-            throw error;
+            throw toContractError(error, revertData => this.decodeRevertData(revertData), methodName);
         }
     }
 
     /**
-     * Helper: Get balance of ERC-1155 token
+     * Split trailing transaction options ({ value, gasLimit, ... }) from call arguments
      */
-    async balanceOf(account, tokenId) {
-        const result = await this.call('balanceOf', 'address,uint256', account, tokenId);
+    splitOptions(paramTypes, args) {
+        const params = toParams(paramTypes);
+        const hasOptions = args.length === params.length + 1;
+
         return {
-            toString: () => result,
-            toNumber: () => Number(result)
+            params,
+            callArgs: hasOptions ? args.slice(0, -1) : args,
+            options: (hasOptions && args[args.length - 1]) || {}
         };
     }
 
     /**
-     * Helper: Get content info
+     * Quote gas for encoded call data
      */
-    async getContentInfo(contentId) {
-        const result = await this.call(
-            'getContentInfo',
-            'uint256',
-            contentId
-        );
+    quote(data, options) {
+        return quoteWithApi(this.api, {
+            from: options.from || this.signer?.evmAddress,
+            to: this.address,
+            data,
+            value: options.value
+        }, options);
+    }
 
-        return {
-            creator: result[0],
-            name: result[1],
-            isFree: result[2],
-            price: result[3],
-            referralBasisPoints: result[4],
-            maxSupply: result[5],
-            currentSupply: result[6]
-        };
+    /**
+     * Estimate gas and fees for a state-changing call without sending it
+     * Takes the same arguments as send(), so the quote can be shown before signing
+     * @returns {Promise<object>} Gas quote (see gas.js), amounts as BigInt
+     */
+    async estimateGas(methodName, paramTypes, ...args) {
+        const { params, callArgs, options } = this.splitOptions(paramTypes, args);
+
+        try {
+            return await this.quote(this.encodeFunctionData(methodName, params, callArgs), options);
+        } catch (error) {
+            throw toContractError(error, data => this.decodeRevertData(data), methodName);
+        }
     }
 
     /**
-     * Helper: Get active version
+     * Send a transaction (state-changing function)
+     * Options may include onStatus(({ state, ... })) to follow submitted → inBlock → executed → finalized
+     * @returns {Promise<object>} Resolves once executed: { hash, blockHash, status, exitReason, tracker, wait, finalized }
      */
-    async getActiveVersion(contentId) {
-        const result = await this.call(
-            'getActiveVersion',
-            'uint256',
-            contentId
-        );
+    async send(methodName, paramTypes, ...args) {
+        const { params, callArgs, options } = this.splitOptions(paramTypes, args);
+        const data = this.encodeFunctionData(methodName, params, callArgs);
 
-        return {
-            payloadURI: result[0],
-            specificationURI: result[1],
-            manifestURI: result[2],
-            timestamp: result[3],
-            reason: result[4],
-            updatedBy: result[5]
-        };
+        try {
+            // Fail early with a typed error if the call would revert
+            await this.simulate(data, options, methodName);
+
+            // Estimate gas and read fees; gasLimit / maxFeePerGas / maxPriorityFeePerGas options are used as-is
+            const quote = await this.quote(data, options);
+            console.log(`📝 Gas for ${methodName}:`, {
+                estimate: quote.gasEstimate.toString(),
+                gasLimit: quote.gasLimit.toString(),
+                maxFeePerGas: quote.maxFeePerGas.toString()
+            });
+
+            // Nonce from the nonce manager; submissions from this account are queued
+            const from = options.from || this.signer.evmAddress;
+            if (!from) {
+                throw new Error('Signer has no evmAddress to take the nonce for');
+            }
+            const chainId = await this.getChainId();
+            return await this.nonceManager.submit(from, async (nonce, submitted) => {
+                const value = options.value ? BigInt(options.value.toString()) : 0n;
+
+                // Create transaction via Ethereum pallet
+                const tx = this.api.tx.ethereum.transact(buildTransactRequest({
+                    chainId,
+                    nonce,
+                    to: this.address,
+                    value,
+                    data,
+                    gasLimit: quote.gasLimit,
+                    maxFeePerGas: quote.maxFeePerGas,
+                    maxPriorityFeePerGas: quote.maxPriorityFeePerGas
+                }));
+
+                // Sign and send; resolves once the EVM transaction has executed
+                const tracker = new TransactionTracker(this.api, {
+                    waitForReceipt: (hash, confirmations) => this.waitForReceipt(hash, confirmations),
+                    decodeRevert: revertData => this.decodeRevertData(revertData),
+                    method: methodName
+                });
+                tracker.nonce = nonce;
+                if (options.onStatus) {
+                    tracker.on('status', options.onStatus);
+                }
+                // Accepted by the node: the next queued transaction can go, and this one can be replaced
+                tracker.on('submitted', () => submitted({
+                    extrinsicHash: tracker.extrinsicHash,
+                    to: this.address,
+                    data,
+                    value,
+                    gasLimit: quote.gasLimit,
+                    maxFeePerGas: quote.maxFeePerGas,
+                    maxPriorityFeePerGas: quote.maxPriorityFeePerGas,
+                    tracker
+                }));
+
+                await tracker.submit(tx, this.signer.address, { signer: this.signer.signer });
+
+                return {
+                    hash: tracker.hash,
+                    extrinsicHash: tracker.extrinsicHash,
+                    blockHash: tracker.blockHash,
+                    nonce,
+                    status: tracker.status,
+                    exitReason: tracker.exitReason,
+                    tracker,
+                    // Real receipt with decoded events; rejects with a ContractError if reverted
+                    wait: confirmations => tracker.wait(confirmations),
+                    finalized: () => tracker.finalized()
+                };
+            }, { nonce: options.nonce ?? null });
+        } catch (error) {
+            console.error(`Contract send failed (${methodName}):`, error);
+            throw toContractError(error, data => this.decodeRevertData(data), methodName);
+        }
     }
 
     /**
-     * Helper: Get content price
+     * Fetch a transaction receipt, with logs decoded where the ABI knows the event
+     * @returns {Promise<object|null>} null while the transaction is pending
      */
-    async contentPrice(contentId) {
-        const result = await this.call('contentPrice', 'uint256', contentId);
-        return result;
+    async getTransactionReceipt(hash) {
+        const receipt = normalizeReceipt(await this.api.rpc.eth.getTransactionReceipt(hash));
+        if (!receipt) return null;
+
+        receipt.events = receipt.logs.map(log => {
+            const isOwnLog = log.address.toLowerCase() === this.address;
+            const parsed = isOwnLog ? this.parseLog(log) : null;
+            return parsed || log;
+        });
+        return receipt;
     }
 
     /**
-     * Helper: Get content creators
+     * Wait until a transaction has the given number of confirmations (1 = included in a block)
+     * @returns {Promise<object>} Receipt (see getTransactionReceipt) with `confirmations`
      */
-    async contentCreators(contentId) {
-        const result = await this.call('contentCreators', 'uint256', contentId);
-        return result;
+    waitForReceipt(hash, confirmations = 1) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let checking = false;
+            let unsubscribe = null;
+
+            const finish = (error, receipt) => {
+                if (settled) return;
+                settled = true;
+                if (unsubscribe) unsubscribe.then(unsub => unsub()).catch(() => {});
+                error ? reject(error) : resolve(receipt);
+            };
+
+            const check = async head => {
+                if (settled || checking) return;
+                checking = true;
+                try {
+                    const receipt = await this.getTransactionReceipt(hash);
+                    if (receipt) {
+                        const current = head ?? (await this.api.rpc.eth.blockNumber()).toNumber();
+                        receipt.confirmations = current - receipt.blockNumber + 1;
+                        if (receipt.confirmations >= confirmations) finish(null, receipt);
+                    }
+                } catch (error) {
+                    finish(error);
+                } finally {
+                    checking = false;
+                }
+            };
+
+            // Re-check on every new block until the receipt has enough confirmations
+            unsubscribe = this.api.rpc.chain.subscribeNewHeads(header => check(header.number.toNumber()));
+            check(null);
+        });
     }
 
     /**
-     * Helper: Claim free content
+     * Look up an event fragment by name
      */
-    async claim(contentId) {
-        return this.send('claim', 'uint256', contentId);
+    getEvent(eventName) {
+        const event = this.events[eventName];
+        if (!event) {
+            throw new Error(`Event ${eventName} not found in ABI`);
+        }
+        return event;
+    }
+
+    /**
+     * Build the topics filter for an event
+     * @param {Array|object} filterArgs - Values for indexed parameters, positional or by name;
+     *   null matches anything and an array of values matches any of them
+     * @returns {Array<string|string[]|null>}
+     */
+    encodeEventTopics(eventName, filterArgs = null) {
+        const event = this.getEvent(eventName);
+        const indexed = event.inputs.filter(input => input.indexed);
+        const topics = event.anonymous ? [] : [event.topic];
+
+        indexed.forEach((param, i) => {
+            const value = Array.isArray(filterArgs) ? filterArgs[i] : filterArgs?.[param.name];
+            if (value === null || value === undefined) {
+                topics.push(null);
+            } else if (Array.isArray(value) && param.kind === 'elementary') {
+                topics.push(value.map(v => encodeTopic(param, v)));
+            } else {
+                topics.push(encodeTopic(param, value));
+            }
+        });
+
+        // Trailing wildcards are implied
+        while (topics.length && topics[topics.length - 1] === null) {
+            topics.pop();
+        }
+        return topics;
+    }
+
+    /**
+     * Decode a log into named arguments
+     * Indexed strings, bytes, arrays and tuples are only available as their topic hash
+     * @returns {object} { event, eventSignature, args, ...log }
+     */
+    decodeEventLog(eventName, log) {
+        const event = this.getEvent(eventName);
+        const plain = log.topics.every(topic => typeof topic === 'string') ? log : normalizeLog(log);
+        const topics = event.anonymous ? plain.topics : plain.topics.slice(1);
+
+        const indexed = event.inputs.filter(input => input.indexed);
+        if (topics.length !== indexed.length) {
+            throw new Error(`Log has ${topics.length} indexed topics, ${event.name} expects ${indexed.length}`);
+        }
+
+        const data = decodeSequence(event.inputs.filter(input => !input.indexed), hexToU8a(plain.data), 0);
+        let topicIndex = 0;
+        let dataIndex = 0;
+
+        const args = event.inputs.map(input => {
+            if (!input.indexed) return data[dataIndex++];
+            const topic = topics[topicIndex++];
+            return input.kind === 'elementary' && !isDynamicType(input)
+                ? decodeValue(input, hexToU8a(topic), 0)
+                : topic;
+        });
+        event.inputs.forEach((input, i) => {
+            if (input.name && !(input.name in args)) args[input.name] = args[i];
+        });
+
+        return { ...plain, event: event.name, eventSignature: event.signature, args };
     }
 
     /**
-     * Helper: Purchase content
+     * Decode a log from this contract by its topic, or return null for unknown events
      */
-    async purchase(contentId, amount, options) {
-        return this.send('purchase', 'uint256,uint256', contentId, amount, options);
+    parseLog(log) {
+        const plain = log.topics.every(topic => typeof topic === 'string') ? log : normalizeLog(log);
+        const event = Object.values(this.events).find(e => !e.anonymous && e.topic === plain.topics[0]);
+        return event ? this.decodeEventLog(event.name, plain) : null;
     }
 
     /**
-     * Helper: Purchase with referral
+     * Query past events via eth_getLogs
+     * @param {string} eventName - Event name from the ABI
+     * @param {Array|object} filterArgs - Indexed parameter filter (see encodeEventTopics)
+     * @param {number} fromBlock - First block (default 0)
+     * @param {number|string} toBlock - Last block, or 'latest'
+     * @returns {Promise<object[]>} Decoded events
      */
-    async purchaseWithReferral(contentId, amount, referrer, options) {
-        return this.send('purchaseWithReferral', 'uint256,uint256,address', contentId, amount, referrer, options);
+    async queryFilter(eventName, filterArgs = null, fromBlock = 0, toBlock = 'latest') {
+        const topics = this.encodeEventTopics(eventName, filterArgs);
+        const toTopicEntry = topic => {
+            if (topic === null) return { Null: null };
+            if (Array.isArray(topic)) return { Multiple: topic };
+            return { Single: topic };
+        };
+
+        const filter = {
+            address: { Single: this.address },
+            topics: { Multiple: topics.map(toTopicEntry) }
+        };
+        // An empty block bound means "latest"
+        if (fromBlock !== 'latest') filter.fromBlock = fromBlock;
+        if (toBlock !== 'latest') filter.toBlock = toBlock;
+
+        try {
+            const logs = await this.api.rpc.eth.getLogs(filter);
+            return [...logs].map(log => this.decodeEventLog(eventName, normalizeLog(log)));
+        } catch (error) {
+            console.error(`Event query failed (${eventName}):`, error);
+            throw error;
+        }
     }
 
     /**
-     * Helper: Platform fee rate
+     * Subscribe to an event; each new block head is checked for matching logs
+     * The handler is called like ethers: handler(...args, event)
+     * @returns {function} Unsubscribe function
      */
-    async platformFeeRate() {
-        const result = await this.call('platformFeeRate', '');
-        return result;
+    on(eventName, handler, filterArgs = null) {
+        this.getEvent(eventName);
+
+        let lastBlock = null;
+        let queue = Promise.resolve();
+
+        const unsubscribe = this.api.rpc.chain.subscribeNewHeads(header => {
+            const head = header.number.toNumber();
+            if (lastBlock !== null && head <= lastBlock) return;
+
+            const fromBlock = lastBlock === null ? head : lastBlock + 1;
+            lastBlock = head;
+
+            queue = queue
+                .then(() => this.queryFilter(eventName, filterArgs, fromBlock, head))
+                .then(events => events.forEach(event => handler(...event.args, event)))
+                .catch(error => console.error(`Event subscription failed (${eventName}):`, error));
+        });
+
+        const listener = { eventName, handler, unsubscribe };
+        this.listeners.push(listener);
+
+        return () => this.removeListener(listener);
     }
 
     /**
-     * Helper: Referral rate
+     * Remove a subscription added with on()
      */
-    async referralRate(contentId) {
-        const result = await this.call('referralRate', 'uint256', contentId);
-        return result;
+    off(eventName, handler) {
+        this.listeners
+            .filter(listener => listener.eventName === eventName && listener.handler === handler)
+            .forEach(listener => this.removeListener(listener));
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(l => l !== listener);
+        listener.unsubscribe.then(unsub => unsub()).catch(() => {});
     }
 }
 
 export default EvmContract;
+export { formatAbiItem };
@@ -0,0 +1,161 @@
+/**
+ * Gas estimation, EIP-1559 fee calculation and the ethereum.transact payload
+ * Shared by EvmContract (Polkadot API) and PolkadotEVMSigner (ethers provider)
+ * All amounts are returned as BigInt (wei / gas units)
+ */
+
+const GAS_SETTINGS = {
+    marginPercent: 20,       // Added on top of eth_estimateGas
+    baseFeeMultiplier: 2,    // Headroom for base fee increases before inclusion
+    defaultPriorityFee: 1000000000n // 1 gwei, when the node does not report one
+};
+
+const GAS_OVERRIDE_KEYS = ['gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+/**
+ * Update gas settings
+ * @param {object} settings - { marginPercent, baseFeeMultiplier, defaultPriorityFee }
+ * @returns {object} The current settings
+ */
+function configureGas(settings = {}) {
+    Object.assign(GAS_SETTINGS, settings);
+    return { ...GAS_SETTINGS };
+}
+
+/**
+ * Coerce numbers, strings, BigInt and ethers BigNumber to BigInt
+ */
+function toBigIntValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'bigint') return value;
+    return BigInt(value.toString());
+}
+
+/**
+ * Add the safety margin to a gas estimate
+ */
+function applyGasMargin(estimate) {
+    const gas = toBigIntValue(estimate);
+    return gas + (gas * BigInt(Math.round(GAS_SETTINGS.marginPercent * 100))) / 10000n;
+}
+
+/**
+ * Split gas overrides from other transaction overrides (value, nonce, ...)
+ */
+function splitGasOverrides(overrides = {}) {
+    const gas = {};
+    const rest = {};
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (GAS_OVERRIDE_KEYS.includes(key)) {
+            if (value !== null && value !== undefined) gas[key] = value;
+        } else {
+            rest[key] = value;
+        }
+    });
+    return { gas, rest };
+}
+
+/**
+ * Combine chain data and per-call overrides into a gas quote
+ * @returns {{ gasEstimate, gasLimit, baseFee, maxPriorityFeePerGas, maxFeePerGas, expectedCost, maxCost }}
+ */
+function buildGasQuote({ estimate, baseFee, priorityFee }, overrides = {}) {
+    const gasLimit = overrides.gasLimit !== undefined ? toBigIntValue(overrides.gasLimit) : applyGasMargin(estimate);
+    const maxPriorityFeePerGas = overrides.maxPriorityFeePerGas !== undefined
+        ? toBigIntValue(overrides.maxPriorityFeePerGas)
+        : (priorityFee ?? GAS_SETTINGS.defaultPriorityFee);
+    const maxFeePerGas = overrides.maxFeePerGas !== undefined
+        ? toBigIntValue(overrides.maxFeePerGas)
+        : baseFee * BigInt(GAS_SETTINGS.baseFeeMultiplier) + maxPriorityFeePerGas;
+
+    const gasEstimate = estimate ?? gasLimit;
+    const effectiveFee = baseFee + maxPriorityFeePerGas < maxFeePerGas ? baseFee + maxPriorityFeePerGas : maxFeePerGas;
+
+    return {
+        gasEstimate,
+        gasLimit,
+        baseFee,
+        maxPriorityFeePerGas,
+        maxFeePerGas,
+        expectedCost: gasEstimate * effectiveFee, // Likely fee at the current base fee
+        maxCost: gasLimit * maxFeePerGas          // Upper bound the wallet must cover
+    };
+}
+
+/**
+ * Quote a transaction through an ethers provider
+ * @param {object} provider - ethers provider
+ * @param {object} tx - { from, to, data, value }
+ * @param {object} overrides - gasLimit / maxFeePerGas / maxPriorityFeePerGas to use as-is
+ */
+async function quoteWithProvider(provider, tx, overrides = {}) {
+    const { gas } = splitGasOverrides(overrides);
+
+    const [estimate, block, priorityFee] = await Promise.all([
+        gas.gasLimit === undefined ? provider.estimateGas(tx) : null,
+        provider.getBlock('latest'),
+        provider.send('eth_maxPriorityFeePerGas', []).catch(() => null)
+    ]);
+
+    return buildGasQuote({
+        estimate: toBigIntValue(estimate),
+        baseFee: toBigIntValue(block.baseFeePerGas) ?? 0n,
+        priorityFee: toBigIntValue(priorityFee)
+    }, gas);
+}
+
+/**
+ * Quote a transaction through the Polkadot API's eth RPC
+ * @param {object} api - ApiPromise connected to a Frontier chain
+ * @param {object} tx - { from, to, data, value }
+ * @param {object} overrides - gasLimit / maxFeePerGas / maxPriorityFeePerGas to use as-is
+ */
+async function quoteWithApi(api, tx, overrides = {}) {
+    const { gas } = splitGasOverrides(overrides);
+    const request = {
+        from: tx.from || null,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value !== undefined ? toBigIntValue(tx.value) : null
+    };
+
+    const blockNumber = await api.rpc.eth.blockNumber();
+    const [estimate, history, priorityFee] = await Promise.all([
+        gas.gasLimit === undefined ? api.rpc.eth.estimateGas(request) : null,
+        api.rpc.eth.feeHistory(1, blockNumber.toNumber(), null),
+        api.rpc.eth.maxPriorityFeePerGas().catch(() => null)
+    ]);
+
+    // The last entry is the base fee of the next block
+    const baseFees = [...history.baseFeePerGas];
+    return buildGasQuote({
+        estimate: toBigIntValue(estimate),
+        baseFee: baseFees.length ? toBigIntValue(baseFees[baseFees.length - 1]) : 0n,
+        priorityFee: toBigIntValue(priorityFee)
+    }, gas);
+}
+
+/**
+ * Argument for api.tx.ethereum.transact: the pallet takes a TransactionV2 enum, here its EIP-1559 variant
+ * @param {object} tx - { chainId, nonce, to, value, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas };
+ *   amounts as numbers, strings, BigInt or BigNumber; no `to` deploys a contract
+ * @returns {{ eip1559: object }}
+ */
+function buildTransactRequest({ chainId, nonce, to = null, value = 0n, data = '0x', gasLimit, maxFeePerGas, maxPriorityFeePerGas }) {
+    const toHex = quantity => '0x' + (toBigIntValue(quantity) ?? 0n).toString(16);
+    return {
+        eip1559: {
+            chainId,
+            nonce,
+            maxPriorityFeePerGas: toHex(maxPriorityFeePerGas),
+            maxFeePerGas: toHex(maxFeePerGas),
+            gasLimit: toHex(gasLimit),
+            action: to ? { Call: to } : 'Create',
+            value: toHex(value),
+            input: data,
+            accessList: []
+        }
+    };
+}
+
+export { configureGas, applyGasMargin, splitGasOverrides, quoteWithProvider, quoteWithApi, buildTransactRequest };
@@ -0,0 +1,18 @@
+/**
+ * HTML helpers shared by the bundle and the pages (window.Html)
+ * Anything from the chain, a manifest, a wallet or an error message goes through
+ * escapeHtml before it is put into innerHTML
+ */
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ * @param {*} value - null and undefined become ''
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+export { escapeHtml };
@@ -1,24 +1,76 @@
-import WalletManager, { CONTRACT_ADDRESS } from './wallet-manager.js';
+import WalletManager from './wallet-manager.js';
+import { ContractError } from './contract-errors.js';
+import {
+    FACTORY_VERSIONS,
+    getFactoryAbi,
+    detectFactoryVersion,
+    hasFunction,
+    bindFactory,
+    normalizeContentInfo
+} from './contract-definition.js';
+import {
+    validateRecipient,
+    toTokenIdHex,
+    resolveTokenURI,
+    getTokenURI,
+    balanceOfBatch,
+    safeTransferFrom,
+    safeBatchTransferFrom,
+    setApprovalForAll,
+    isApprovedForAll,
+    supportsERC1155
+} from './erc1155.js';
+import { mapAccountToEvm } from './address-mapping.js';
+import { SignInError, formatSignInMessage, parseSignInMessage } from './sign-in-message.js';
+import { createSignIn } from './sign-in.js';
+import { escapeHtml } from './html.js';
 
 // Initialize wallet manager and expose globally
 const walletManager = new WalletManager();
+const CONTRACT_ADDRESS = walletManager.network.factoryAddress;
 
 // Make available globally for HTML onclick handlers
 window.walletManager = walletManager;
 window.CONTRACT_ADDRESS = CONTRACT_ADDRESS;
-
-// Network configuration for reference
-window.MOONBASE_ALPHA = {
-    chainId: '0x507', // 1287 in decimal
-    chainName: 'Moonbase Alpha',
-    nativeCurrency: { name: 'DEV', symbol: 'DEV', decimals: 18 },
-    rpcUrls: ['https://rpc.api.moonbase.moonbeam.network'],
-    blockExplorerUrls: ['https://moonbase.moonscan.io/'],
-    wsUrl: 'wss://wss.api.moonbase.moonbeam.network'
+walletManager.on('networkChanged', ({ network }) => {
+    window.CONTRACT_ADDRESS = network.factoryAddress;
+});
+window.ContractError = ContractError;
+window.ContractDefinition = {
+    FACTORY_VERSIONS,
+    getFactoryAbi,
+    detectFactoryVersion,
+    hasFunction,
+    bindFactory,
+    normalizeContentInfo
+};
+window.ERC1155 = {
+    validateRecipient,
+    toTokenIdHex,
+    resolveTokenURI,
+    getTokenURI,
+    balanceOfBatch,
+    safeTransferFrom,
+    safeBatchTransferFrom,
+    setApprovalForAll,
+    isApprovedForAll,
+    supportsERC1155
+};
+window.AddressMapping = {
+    mapAccountToEvm
+};
+window.Html = {
+    escapeHtml
+};
+window.SignIn = {
+    SignInError,
+    createSignIn,
+    formatSignInMessage,
+    parseSignInMessage
 };
 
 console.log('🚀 Tesserarx initialized with Polkadot SDK');
-console.log('📡 Network: Moonbase Alpha');
+console.log('📡 Network:', walletManager.network.name);
 console.log('📄 Contract:', CONTRACT_ADDRESS);
 
 export { walletManager, CONTRACT_ADDRESS };
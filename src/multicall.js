@@ -0,0 +1,293 @@
+/**
+ * Read-call batching
+ * eth_calls made in the same tick are merged into one Multicall3 aggregate3 call,
+ * or sent as one JSON-RPC batch where Multicall3 is not deployed
+ * Each caller still receives its own result or revert
+ */
+
+import EvmContract from './evm-contract.js';
+
+// Same address on every chain Multicall3 is deployed to, Moonbase Alpha included
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
+const BATCH_SETTINGS = {
+    wait: 0,          // ms to collect calls before sending
+    maxCalls: 100,    // Calls per aggregate3 / JSON-RPC batch
+    multicall: true   // Set false to always use JSON-RPC batches
+};
+
+// Encoder only; never sends anything itself
+const multicallCodec = new EvmContract(null, MULTICALL3_ADDRESS, MULTICALL3_ABI, null);
+
+function isRevertData(data) {
+    return typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data);
+}
+
+function revertError(data) {
+    const error = new Error(isRevertData(data) ? `execution reverted: ${data}` : 'execution reverted');
+    error.code = 'CALL_EXCEPTION';
+    error.data = data;
+    return error;
+}
+
+/**
+ * Calls that depend on msg.sender or send value keep their own request
+ * (inside a Multicall the sender would be the Multicall3 contract)
+ */
+function canAggregate(tx) {
+    return !tx.from && (!tx.value || BigInt(tx.value) === 0n);
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Send eth_calls as one JSON-RPC batch over HTTP
+ * @returns {Promise<Array<{ result: string } | { error: Error }>>} In request order
+ */
+async function jsonRpcBatch(url, txs, blockTag = 'latest') {
+    const body = txs.map((tx, id) => ({ jsonrpc: '2.0', id, method: 'eth_call', params: [tx, blockTag] }));
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+        throw new Error(`JSON-RPC batch failed: HTTP ${response.status}`);
+    }
+
+    const replies = await response.json();
+    if (!Array.isArray(replies)) {
+        throw new Error(replies?.error?.message || 'Node does not support JSON-RPC batches');
+    }
+
+    const byId = new Map(replies.map(reply => [reply.id, reply]));
+    return txs.map((tx, id) => {
+        const reply = byId.get(id);
+        if (!reply) {
+            return { error: new Error('Missing response in JSON-RPC batch') };
+        }
+        if (reply.error) {
+            const error = new Error(reply.error.message);
+            error.code = reply.error.code;
+            error.data = reply.error.data;
+            return { error };
+        }
+        return { result: reply.result };
+    });
+}
+
+/**
+ * Queues eth_calls and sends them together
+ */
+class CallBatcher {
+    /**
+     * @param {object} transport
+     * @param {function} transport.call - (tx) => Promise<string>, a single eth_call
+     * @param {function} transport.getCode - (address) => Promise<string>
+     * @param {function} transport.batch - Optional (txs) => Promise<Array<{ result } | { error }>>
+     * @param {object} options - { wait, maxCalls, multicall, multicallAddress }
+     */
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.options = { ...BATCH_SETTINGS, multicallAddress: MULTICALL3_ADDRESS, ...options };
+        this.queue = [];
+        this.timer = null;
+        this.multicallAvailable = null;
+    }
+
+    /**
+     * Queue an eth_call
+     * @param {object} tx - { to, data, from, value }
+     * @returns {Promise<string>} Return data; rejects with the call's own error
+     */
+    call(tx) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ tx, resolve, reject });
+            if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.options.wait);
+            }
+        });
+    }
+
+    /**
+     * Send everything queued so far
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const pending = this.queue;
+        this.queue = [];
+        if (pending.length === 0) return Promise.resolve();
+
+        return Promise.all([
+            this.sendAggregate(pending.filter(entry => canAggregate(entry.tx))),
+            this.sendBatch(pending.filter(entry => !canAggregate(entry.tx)))
+        ]);
+    }
+
+    /**
+     * Whether Multicall3 is deployed, checked once
+     */
+    hasMulticall() {
+        if (!this.options.multicall) return Promise.resolve(false);
+
+        if (!this.multicallAvailable) {
+            this.multicallAvailable = this.transport.getCode(this.options.multicallAddress)
+                .then(code => !!code && code !== '0x')
+                .catch(() => false);
+        }
+        return this.multicallAvailable;
+    }
+
+    async sendAggregate(pending) {
+        if (pending.length < 2 || !(await this.hasMulticall())) {
+            return this.sendBatch(pending);
+        }
+
+        await Promise.all(chunk(pending, this.options.maxCalls).map(async calls => {
+            let results;
+            try {
+                const data = multicallCodec.encodeFunctionData('aggregate3', multicallCodec.fragments.aggregate3.inputs, [
+                    calls.map(({ tx }) => [tx.to, true, tx.data || '0x'])
+                ]);
+                const returnData = await this.transport.call({ to: this.options.multicallAddress, data });
+                results = multicallCodec.decodeReturnData(multicallCodec.fragments.aggregate3.outputs, returnData.toString());
+            } catch (error) {
+                console.warn('⚠ Multicall failed, sending calls as a JSON-RPC batch:', error.message);
+                return this.sendBatch(calls);
+            }
+
+            console.log(`📦 Multicall: ${calls.length} reads in one eth_call`);
+            calls.forEach(({ resolve, reject }, i) => {
+                const [success, returnData] = results[i];
+                success ? resolve(returnData) : reject(revertError(returnData));
+            });
+        }));
+    }
+
+    async sendBatch(pending) {
+        if (pending.length === 0) return;
+
+        if (pending.length === 1 || !this.transport.batch) {
+            await Promise.all(pending.map(({ tx, resolve, reject }) => this.transport.call(tx).then(resolve, reject)));
+            return;
+        }
+
+        await Promise.all(chunk(pending, this.options.maxCalls).map(async calls => {
+            try {
+                const responses = await this.transport.batch(calls.map(({ tx }) => tx));
+                console.log(`📦 JSON-RPC batch: ${calls.length} reads in one request`);
+                calls.forEach(({ resolve, reject }, i) => {
+                    responses[i].error ? reject(responses[i].error) : resolve(responses[i].result);
+                });
+            } catch (error) {
+                // Batches not supported: fall back to individual calls
+                console.warn('⚠ JSON-RPC batch failed, sending calls individually:', error.message);
+                await Promise.all(calls.map(({ tx, resolve, reject }) => this.transport.call(tx).then(resolve, reject)));
+            }
+        }));
+    }
+}
+
+/**
+ * Batcher for EvmContract, over the Polkadot API's eth RPC
+ * @param {object} api - ApiPromise
+ * @param {object} options - Batch options; rpcUrl enables JSON-RPC batches over HTTP
+ */
+function createApiBatcher(api, { rpcUrl = null, ...options } = {}) {
+    return new CallBatcher({
+        call: async tx => (await api.rpc.eth.call(tx)).toHex(),
+        getCode: async address => (await api.rpc.eth.getCode(address)).toHex(),
+        batch: rpcUrl ? txs => jsonRpcBatch(rpcUrl, txs) : null
+    }, options);
+}
+
+/**
+ * Whether an ethers request failed because the endpoint is unreachable, timed out or
+ * answered with an HTTP error, rather than with a JSON-RPC error (e.g. a revert)
+ */
+function isEndpointFailure(error) {
+    return error?.code === 'TIMEOUT' || (error?.code === 'SERVER_ERROR' && !error.error);
+}
+
+/**
+ * ethers JsonRpcProvider whose eth_calls go through a CallBatcher
+ * Factory function so window.ethers is only needed at call time
+ * @param {string|string[]} urls - HTTP endpoints in order of preference; requests move
+ *   to the next endpoint when one is unreachable
+ */
+function createBatchingProvider(urls, options = {}) {
+    const { ethers } = window;
+    if (!ethers) {
+        throw new Error('ethers.js not loaded');
+    }
+    const { JsonRpcProvider } = ethers.providers;
+    const endpoints = [].concat(urls);
+
+    class BatchingProvider extends JsonRpcProvider {
+        constructor() {
+            super(endpoints[0]);
+            this.endpointIndex = 0;
+            // Raw requests to the other endpoints go through plain providers
+            this.endpointProviders = [this, ...endpoints.slice(1).map(url => new JsonRpcProvider(url))];
+            this.batcher = new CallBatcher({
+                call: tx => JsonRpcProvider.prototype.perform.call(this, 'call', { transaction: tx, blockTag: 'latest' }),
+                getCode: address => JsonRpcProvider.prototype.perform.call(this, 'getCode', { address, blockTag: 'latest' }),
+                batch: txs => jsonRpcBatch(this.endpoint, txs)
+            }, options);
+        }
+
+        get endpoint() {
+            return endpoints[this.endpointIndex];
+        }
+
+        async send(method, params) {
+            let lastError;
+            for (let attempt = 0; attempt < endpoints.length; attempt++) {
+                const index = this.endpointIndex;
+                try {
+                    return await JsonRpcProvider.prototype.send.call(this.endpointProviders[index], method, params);
+                } catch (error) {
+                    if (!isEndpointFailure(error)) throw error;
+                    lastError = error;
+                    // Concurrent requests may have moved on already
+                    if (this.endpointIndex === index) {
+                        this.endpointIndex = (index + 1) % endpoints.length;
+                        if (endpoints.length > 1) {
+                            console.warn(`⚠ RPC endpoint ${endpoints[index]} failed (${error.reason || error.message}), using ${this.endpoint}`);
+                        }
+                    }
+                }
+            }
+            throw lastError;
+        }
+
+        async perform(method, params) {
+            if (method !== 'call' || params.blockTag !== 'latest') {
+                return super.perform(method, params);
+            }
+
+            try {
+                return await this.batcher.call(JsonRpcProvider.hexlifyTransaction(params.transaction, { from: true }));
+            } catch (error) {
+                // Like JsonRpcProvider: hand revert data back so the contract can decode the reason
+                if (isRevertData(error.data)) return error.data;
+                throw error;
+            }
+        }
+    }
+
+    return new BatchingProvider();
+}
+
+export { MULTICALL3_ADDRESS, BATCH_SETTINGS, CallBatcher, createApiBatcher, createBatchingProvider, jsonRpcBatch };
@@ -0,0 +1,39 @@
+/**
+ * Access to the network registry in public/config.js
+ * The registry is a page script so deployments can change endpoints and
+ * factory addresses without rebuilding the bundle
+ */
+
+function getNetworkConfig() {
+    const config = typeof window !== 'undefined' ? window.TesserarxConfig : null;
+    if (!config) {
+        throw new Error('Network registry not loaded; include config.js before the Tesserarx bundle');
+    }
+    return config;
+}
+
+/**
+ * The network selected for this page load
+ */
+function getActiveNetwork() {
+    return getNetworkConfig().getActiveNetwork();
+}
+
+/**
+ * Ask an injected Ethereum provider to use a network, adding it if the wallet does not know it
+ */
+async function ensureEthereumChain(ethereum, network) {
+    const params = getNetworkConfig().toChainParams(network);
+    const current = await ethereum.request({ method: 'eth_chainId' });
+    if (parseInt(current, 16) === network.chainId) return;
+
+    try {
+        await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: params.chainId }] });
+    } catch (error) {
+        // 4902: chain not added to the wallet yet
+        if (error.code !== 4902) throw error;
+        await ethereum.request({ method: 'wallet_addEthereumChain', params: [params] });
+    }
+}
+
+export { getNetworkConfig, getActiveNetwork, ensureEthereumChain };
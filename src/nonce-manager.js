@@ -0,0 +1,176 @@
+/**
+ * Per-account nonce management and transaction queue
+ * Nonces are handed out locally, so transactions sent in quick succession
+ * (claim, claim, transfer) do not all read the same pending count.
+ * Submissions from one account run in order; the next one starts as soon as
+ * the previous transaction has been accepted by the node.
+ */
+
+const NONCE_SETTINGS = {
+    maxRetries: 2,          // Resubmissions after a "nonce too low" error
+    replacementBumpPercent: 15 // Fee increase when replacing a stuck transaction (nodes require at least 10%)
+};
+
+// Stale nonces: Ethereum nodes say "nonce too low", the Substrate pool "Transaction is outdated"
+const NONCE_TOO_LOW_PATTERN = /nonce too low|transaction is outdated|invalid transaction: stale|already known/i;
+
+function isNonceTooLow(error) {
+    return NONCE_TOO_LOW_PATTERN.test(error?.message || '')
+        || NONCE_TOO_LOW_PATTERN.test(error?.data || '');
+}
+
+/**
+ * Raise a fee by the replacement bump
+ */
+function bumpFee(fee, percent = NONCE_SETTINGS.replacementBumpPercent) {
+    const value = BigInt(fee.toString());
+    return value + (value * BigInt(Math.round(percent * 100))) / 10000n + 1n;
+}
+
+class NonceManager {
+    /**
+     * @param {function} getTransactionCount - (address) => Promise<number>, the account's pending nonce on chain
+     */
+    constructor(getTransactionCount) {
+        this.getTransactionCount = getTransactionCount;
+        this.accounts = new Map();
+    }
+
+    account(address) {
+        const key = address.toLowerCase();
+        if (!this.accounts.has(key)) {
+            this.accounts.set(key, {
+                next: null,          // Next local nonce; null until read from chain
+                tail: Promise.resolve(),
+                pending: new Map()   // nonce -> transaction sent but not yet executed
+            });
+        }
+        return this.accounts.get(key);
+    }
+
+    /**
+     * Take the next nonce for an account
+     * Reads the pending count from chain once, then counts up locally
+     */
+    async reserve(address) {
+        const account = this.account(address);
+        if (account.next === null) {
+            account.next = Number(await this.getTransactionCount(address));
+            console.log(`📝 Nonce for ${address} synced from chain:`, account.next);
+        }
+        return account.next++;
+    }
+
+    /**
+     * Give back a nonce that was never used (signing cancelled, submission rejected)
+     * Only the last nonce handed out can be reused; anything else resyncs from chain
+     */
+    release(address, nonce) {
+        const account = this.account(address);
+        account.next = account.next === nonce + 1 ? nonce : null;
+    }
+
+    /**
+     * Forget the local nonce; the next reserve() reads it from chain
+     */
+    resync(address) {
+        this.account(address).next = null;
+    }
+
+    /**
+     * Queue a submission for an account
+     * `send(nonce, submitted)` builds, signs and submits the transaction. It must call
+     * submitted(record) once the node has accepted it, which starts the next queued
+     * submission and keeps the record (to, data, value, gas fields) for replacement.
+     * "Nonce too low" failures before acceptance are retried with a fresh nonce.
+     * @param {string} address - Sending EVM address
+     * @param {function} send - (nonce, submitted) => Promise<result>
+     * @param {object} options - { nonce }: send with this nonce instead of reserving one (replacements)
+     * @returns {Promise<*>} What send resolves with
+     */
+    submit(address, send, { nonce = null } = {}) {
+        const account = this.account(address);
+        let release;
+        const released = new Promise(resolve => {
+            release = resolve;
+        });
+
+        const previous = account.tail;
+        account.tail = previous.then(() => released);
+
+        return previous.then(async () => {
+            try {
+                return await this.sendWithNonce(address, send, release, nonce);
+            } finally {
+                release();
+            }
+        });
+    }
+
+    async sendWithNonce(address, send, release, fixedNonce, attempt = 0) {
+        const account = this.account(address);
+        const nonce = fixedNonce ?? await this.reserve(address);
+        let record = null;
+
+        const submitted = (details = {}) => {
+            record = { ...details, nonce, from: address, submittedAt: Date.now() };
+            account.pending.set(nonce, record);
+            release();
+        };
+
+        try {
+            return await send(nonce, submitted);
+        } catch (error) {
+            if (!record && fixedNonce === null) {
+                if (isNonceTooLow(error) && attempt < NONCE_SETTINGS.maxRetries) {
+                    console.warn(`⚠ Nonce ${nonce} too low for ${address}, resyncing and retrying`);
+                    this.resync(address);
+                    return this.sendWithNonce(address, send, release, null, attempt + 1);
+                }
+                this.release(address, nonce);
+            } else if (record) {
+                // Dropped or invalid after acceptance: the chain knows which nonces were used
+                this.resync(address);
+            }
+            throw error;
+        } finally {
+            // Settled (executed, reverted or failed): no longer pending, unless replaced meanwhile
+            if (record && account.pending.get(nonce) === record) {
+                account.pending.delete(nonce);
+            }
+        }
+    }
+
+    /**
+     * Transactions accepted by the node but not yet executed, oldest nonce first
+     */
+    getPending(address) {
+        return [...this.account(address).pending.values()].sort((a, b) => a.nonce - b.nonce);
+    }
+
+    /**
+     * Fields for a transaction replacing a pending one: same nonce, higher fees
+     * @param {string} address - Sending EVM address
+     * @param {number} nonce - Nonce of the stuck transaction
+     * @param {object} options - { cancel }: send 0 to self instead of repeating the call
+     * @returns {object} Transaction with nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas as BigInt
+     */
+    replacementFor(address, nonce, { cancel = false } = {}) {
+        const record = this.account(address).pending.get(nonce);
+        if (!record) {
+            throw new Error(`No pending transaction with nonce ${nonce} for ${address}`);
+        }
+
+        const fees = {
+            nonce,
+            maxFeePerGas: bumpFee(record.maxFeePerGas),
+            maxPriorityFeePerGas: bumpFee(record.maxPriorityFeePerGas)
+        };
+
+        return cancel
+            ? { ...fees, to: address, data: '0x', value: 0n, gasLimit: 21000n }
+            : { ...fees, to: record.to, data: record.data, value: record.value, gasLimit: BigInt(record.gasLimit.toString()) };
+    }
+}
+
+export { NonceManager, NONCE_SETTINGS, isNonceTooLow, bumpFee };
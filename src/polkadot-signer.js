@@ -0,0 +1,217 @@
+/**
+ * ethers Signer for accounts in Polkadot extensions
+ * EVM transactions are wrapped in ethereum.transact extrinsics and signed by the
+ * extension; nonces come from the WalletManager's NonceManager and every
+ * submission is reported through walletManager.notifyTransaction
+ */
+
+import { buildTransactRequest, quoteWithProvider, splitGasOverrides } from './gas.js';
+import { ERROR_SELECTOR, PANIC_SELECTOR, toContractError } from './contract-errors.js';
+import { TransactionTracker } from './tx-tracker.js';
+
+/**
+ * Decode revert data with ethers: Error(string), Panic(uint256) or a custom error in the ABI
+ */
+function decodeRevertWithInterface(iface, data) {
+    const { ethers } = window;
+    const selector = data.slice(0, 10);
+    const body = '0x' + data.slice(10);
+
+    if (selector === ERROR_SELECTOR) {
+        const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], body);
+        return { errorName: 'Error', args: [reason], reason, panicCode: null };
+    }
+    if (selector === PANIC_SELECTOR) {
+        const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], body);
+        return { errorName: 'Panic', args: [code], reason: null, panicCode: code.toNumber() };
+    }
+    if (!iface) return null;
+
+    try {
+        const parsed = iface.parseError(data);
+        return { errorName: parsed.name, signature: parsed.signature, args: parsed.args, reason: null, panicCode: null };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Custom Signer that bridges Polkadot extension with ethers.js
+ * Factory function to avoid issues with window.ethers not being loaded yet
+ * @param {object} walletManager - WalletManager with a Polkadot account selected (api, injector, nonceManager)
+ * @param {object} provider - ethers provider for reads, fee data and receipts
+ */
+function createPolkadotEVMSigner(walletManager, provider) {
+    const { ethers } = window;
+    if (!ethers) {
+        throw new Error('ethers.js not loaded');
+    }
+
+    class PolkadotEVMSigner extends ethers.Signer {
+        constructor() {
+            super();
+            this.walletManager = walletManager;
+            this._provider = provider;
+        }
+
+        // Ethers.js needs this getter to access the provider for read operations
+        get provider() {
+            return this._provider;
+        }
+
+        async getAddress() {
+            return this.walletManager.getEvmAddress();
+        }
+
+        // signTransaction submits through the ethereum pallet, so there is no raw
+        // transaction to hand to the provider; send it directly instead
+        async sendTransaction(transaction) {
+            return this.signTransaction(await ethers.utils.resolveProperties(transaction));
+        }
+
+        async signMessage(message) {
+            // Sign message using Polkadot extension
+            const { u8aToHex, stringToU8a } = await import('@polkadot/util');
+            const messageU8a = typeof message === 'string' ? stringToU8a(message) : message;
+
+            const signature = await this.walletManager.injector.signer.signRaw({
+                address: this.walletManager.getSubstrateAddress(),
+                data: u8aToHex(messageU8a),
+                type: 'bytes'
+            });
+
+            return signature.signature;
+        }
+
+        async signTransaction(transaction) {
+            // Use Polkadot extension to sign and submit EVM transaction via Moonbeam's ethereum pallet
+            const api = this.walletManager.getApi();
+            if (!api) {
+                throw new Error('Not connected to Moonbeam');
+            }
+
+            try {
+                console.log('🔄 Signing transaction via Polkadot extension:', transaction);
+
+                // Manually populate transaction fields using provider methods
+                const populatedTx = { ...transaction };
+
+                // Get address
+                const from = await this.getAddress();
+                populatedTx.from = from;
+
+                // Get chain ID if not provided
+                if (populatedTx.chainId === undefined) {
+                    const network = await this._provider.getNetwork();
+                    populatedTx.chainId = network.chainId;
+                    console.log('📝 Chain ID:', populatedTx.chainId);
+                }
+
+                // Estimate gas and read fees from the chain for anything not overridden
+                const { gas } = splitGasOverrides(populatedTx);
+                if (Object.keys(gas).length < 3) {
+                    const quote = await quoteWithProvider(this._provider, {
+                        from,
+                        to: populatedTx.to,
+                        data: populatedTx.data,
+                        value: populatedTx.value
+                    }, gas);
+                    populatedTx.gasLimit = quote.gasLimit;
+                    populatedTx.maxFeePerGas = quote.maxFeePerGas;
+                    populatedTx.maxPriorityFeePerGas = quote.maxPriorityFeePerGas;
+                    console.log('📝 Gas quote:', {
+                        estimate: quote.gasEstimate.toString(),
+                        gasLimit: quote.gasLimit.toString(),
+                        maxFeePerGas: quote.maxFeePerGas.toString(),
+                        maxPriorityFeePerGas: quote.maxPriorityFeePerGas.toString()
+                    });
+                }
+
+                // Get transaction parameters
+                const toHex = quantity => ethers.BigNumber.from(quantity.toString()).toHexString();
+                const to = populatedTx.to || null;
+                const value = populatedTx.value ? toHex(populatedTx.value) : '0x0';
+                const gasLimit = Number(populatedTx.gasLimit.toString());
+                const data = populatedTx.data || '0x';
+
+                console.log('📝 Transaction params:', { to, value, gasLimit, data: data.slice(0, 20) + '...' });
+
+                // Nonces come from the shared nonce manager; submissions from this account are queued
+                const nonceManager = this.walletManager.nonceManager;
+                const fixedNonce = populatedTx.nonce === undefined ? null : Number(populatedTx.nonce);
+
+                return await nonceManager.submit(from, async (nonce, submitted) => {
+                    console.log('📝 Nonce:', nonce);
+
+                    // Build ethereum.transact extrinsic for EVM transaction (EIP-1559 TransactionV2)
+                    const evmTx = api.tx.ethereum.transact(buildTransactRequest({
+                        chainId: populatedTx.chainId,
+                        nonce,
+                        to,
+                        value,
+                        data,
+                        gasLimit,
+                        maxFeePerGas: populatedTx.maxFeePerGas,
+                        maxPriorityFeePerGas: populatedTx.maxPriorityFeePerGas
+                    }));
+
+                    console.log('📝 Built EIP-1559 Polkadot extrinsic, submitting...');
+
+                    // Sign and send using Polkadot extension; resolves once the EVM transaction has executed
+                    const tracker = new TransactionTracker(api, {
+                        waitForReceipt: (hash, confirmations) => this._provider.waitForTransaction(hash, confirmations),
+                        decodeRevert: revertData => decodeRevertWithInterface(this.walletManager.getContractInterface(to), revertData)
+                    });
+                    tracker.nonce = nonce;
+                    // Accepted by the node: the next queued transaction can go, and this one can be replaced
+                    tracker.on('submitted', () => submitted({
+                        extrinsicHash: tracker.extrinsicHash,
+                        to,
+                        data,
+                        value,
+                        gasLimit,
+                        maxFeePerGas: populatedTx.maxFeePerGas,
+                        maxPriorityFeePerGas: populatedTx.maxPriorityFeePerGas,
+                        tracker
+                    }));
+                    this.walletManager.notifyTransaction(tracker);
+
+                    await tracker.submit(evmTx, this.walletManager.getSubstrateAddress(), {
+                        signer: this.walletManager.injector.signer
+                    });
+
+                    return {
+                        hash: tracker.hash,
+                        from,
+                        to,
+                        nonce,
+                        gasLimit: ethers.BigNumber.from(gasLimit),
+                        maxFeePerGas: ethers.BigNumber.from(populatedTx.maxFeePerGas.toString()),
+                        maxPriorityFeePerGas: ethers.BigNumber.from(populatedTx.maxPriorityFeePerGas.toString()),
+                        data,
+                        value: ethers.BigNumber.from(value),
+                        chainId: populatedTx.chainId,
+                        blockHash: tracker.blockHash,
+                        confirmations: 0,
+                        tracker,
+                        // Real receipt; rejects with a ContractError if the transaction reverted
+                        wait: confirmations => tracker.wait(confirmations)
+                    };
+                }, { nonce: fixedNonce });
+            } catch (error) {
+                console.error('❌ Transaction signing failed:', error);
+                // ContractErrors from the quote, nonce queue and tracker pass through unchanged
+                const iface = this.walletManager.getContractInterface(transaction.to);
+                throw toContractError(error, data => decodeRevertWithInterface(iface, data));
+            }
+        }
+
+        connect(provider) {
+            return createPolkadotEVMSigner(this.walletManager, provider);
+        }
+    }
+
+    return new PolkadotEVMSigner();
+}
+
+export { createPolkadotEVMSigner, decodeRevertWithInterface };
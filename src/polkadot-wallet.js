@@ -1,16 +1,18 @@
 import { web3Accounts, web3Enable, web3FromAddress } from '@polkadot/extension-dapp';
 import { ApiPromise, WsProvider } from '@polkadot/api';
-import { u8aToHex } from '@polkadot/util';
-import { decodeAddress, encodeAddress } from '@polkadot/util-crypto';
+import { cryptoWaitReady } from '@polkadot/util-crypto';
+import { pickAccount, saveSelectedAddress, showAccountPicker } from './account-selector.js';
+import { mapAccountToEvm } from './address-mapping.js';
+import { getActiveNetwork } from './networks.js';
+import { escapeHtml } from './html.js';
 
 const STORAGE_KEY = 'tesserarx_wallet_connected';
-const MOONBASE_ALPHA_WS = 'wss://wss.api.moonbase.moonbeam.network';
 const APP_NAME = 'Tesserarx';
 
 /**
  * Polkadot Wallet Manager
  * Handles wallet connection via Polkadot extension (Polkadot.js, Talisman, SubWallet, etc.)
- * and provides access to Moonbase Alpha network
+ * and provides access to the active network (see public/config.js)
  */
 class PolkadotWalletManager {
     constructor() {
@@ -53,9 +55,11 @@ class PolkadotWalletManager {
 
             // Get accounts
             const accounts = await web3Accounts();
+            await cryptoWaitReady();
+            const account = pickAccount(accounts, a => this.mapAccount(a).canControlEvm);
 
-            if (accounts.length > 0) {
-                await this.selectAccount(accounts[0]);
+            if (account) {
+                await this.selectAccount(account);
             } else {
                 localStorage.removeItem(STORAGE_KEY);
             }
@@ -69,10 +73,11 @@ class PolkadotWalletManager {
         if (this.api) return this.api;
 
         try {
-            const provider = new WsProvider(MOONBASE_ALPHA_WS);
+            const network = getActiveNetwork();
+            const provider = new WsProvider(network.wsUrls);
             this.api = await ApiPromise.create({ provider });
 
-            console.log('Connected to Moonbase Alpha');
+            console.log('Connected to', network.name);
             console.log('Chain:', (await this.api.rpc.system.chain()).toString());
             console.log('Node version:', (await this.api.rpc.system.version()).toString());
 
@@ -104,9 +109,27 @@ class PolkadotWalletManager {
                 return false;
             }
 
-            // For now, use the first account
-            // TODO: Add account selector UI
-            await this.selectAccount(accounts[0]);
+            await cryptoWaitReady();
+
+            if (accounts.length === 1) {
+                const mapping = this.mapAccount(accounts[0]);
+                if (!mapping.canControlEvm) {
+                    alert(mapping.warning);
+                    return false;
+                }
+            }
+
+            // Let the user choose when there is more than one account
+            const account = accounts.length === 1
+                ? accounts[0]
+                : await showAccountPicker(accounts, {
+                    mapAccount: a => this.mapAccount(a),
+                    selected: pickAccount(accounts, a => this.mapAccount(a).canControlEvm)?.address
+                });
+            if (!account) {
+                return false;
+            }
+            await this.selectAccount(account);
 
             localStorage.setItem(STORAGE_KEY, 'true');
             this.renderWalletStatus();
@@ -120,14 +143,20 @@ class PolkadotWalletManager {
     }
 
     async selectAccount(account) {
+        const mapping = this.mapAccount(account);
+        if (!mapping.canControlEvm) {
+            throw new Error(mapping.warning);
+        }
+
         this.selectedAccount = account;
         this.accounts = await web3Accounts();
 
         // Get injector for signing transactions
         this.injector = await web3FromAddress(account.address);
 
-        // Convert Substrate address to EVM address
-        this.evmAddress = this.substrateToEvm(account.address);
+        this.evmAddress = mapping.evmAddress;
+
+        saveSelectedAddress(account.address);
 
         console.log('Selected account:', account.meta.name || account.address);
         console.log('Substrate address:', account.address);
@@ -135,22 +164,33 @@ class PolkadotWalletManager {
     }
 
     /**
-     * Convert Substrate address to EVM address
-     * For Moonbeam, the EVM address is derived from the first 20 bytes of the public key
+     * Open the account picker and switch to the chosen account without disconnecting
      */
-    substrateToEvm(substrateAddress) {
-        try {
-            // Decode substrate address to public key
-            const publicKey = decodeAddress(substrateAddress);
+    async switchAccount() {
+        const accounts = await web3Accounts();
+        await cryptoWaitReady();
+        const account = await showAccountPicker(accounts, {
+            mapAccount: a => this.mapAccount(a),
+            selected: this.selectedAccount?.address
+        });
 
-            // Take first 20 bytes and convert to hex (EVM address format)
-            const evmAddressBytes = publicKey.slice(0, 20);
-            const evmAddress = u8aToHex(evmAddressBytes);
+        if (account && account.address !== this.selectedAccount?.address) {
+            await this.selectAccount(account);
+            this.renderWalletStatus();
+            window.location.reload();
+        }
+    }
 
-            return evmAddress;
+    /**
+     * EVM address for an account by key type (see address-mapping.js)
+     * sr25519 and ed25519 accounts map to null with a warning
+     */
+    mapAccount(account) {
+        try {
+            return mapAccountToEvm(account);
         } catch (error) {
-            console.error('Failed to convert address:', error);
-            return null;
+            console.error('Failed to map address:', error);
+            return { type: account.type, evmAddress: null, canControlEvm: false, warning: error.message };
         }
     }
 
@@ -173,8 +213,15 @@ class PolkadotWalletManager {
             statusDiv.innerHTML = `
                 <div class="flex items-center gap-3">
                     <div class="text-sm font-mono text-accent">
-                        ${displayName !== this.selectedAccount.address ? displayName + ' (' + shortAddr + ')' : shortAddr}
+                        ${displayName !== this.selectedAccount.address ? escapeHtml(displayName) + ' (' + shortAddr + ')' : shortAddr}
                     </div>
+                    ${this.accounts.length > 1 ? `
+                    <button
+                        onclick="walletManager.switchAccount()"
+                        class="text-xs text-muted hover:text-accent transition-colors"
+                    >
+                        Switch
+                    </button>` : ''}
                     <button
                         onclick="walletManager.disconnect()"
                         class="text-xs text-muted hover:text-accent transition-colors"
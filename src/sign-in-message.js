@@ -0,0 +1,189 @@
+/**
+ * Sign-in messages (EIP-4361 layout)
+ * Shared by the wallet side (sign-in.js) and the verifier (sign-in-verifier.js).
+ * Substrate accounts use the same layout with "Substrate account" and their SS58
+ * address in place of the H160. Requested content IDs are listed as resources,
+ * urn:tesserarx:content:<id>
+ */
+
+import { isEthereumAddress } from '@polkadot/util-crypto';
+
+const SIGN_IN_VERSION = '1';
+const CONTENT_RESOURCE_PREFIX = 'urn:tesserarx:content:';
+const DEFAULT_STATEMENT = 'Sign in to Tesserarx to read your decks.';
+const NONCE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Error thrown by sign-in and verification
+ * `code` is stable and safe to branch on, e.g. EXPIRED, NOT_OWNED
+ */
+class SignInError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'SignInError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function accountType(address) {
+    return isEthereumAddress(address) ? 'Ethereum' : 'Substrate';
+}
+
+/**
+ * Random nonce as EIP-4361 requires (alphanumeric, at least 8 characters)
+ */
+function generateNonce(length = 16) {
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, byte => NONCE_ALPHABET[byte % NONCE_ALPHABET.length]).join('');
+}
+
+function toContentIds(ids) {
+    return ids.map(id => {
+        const value = Number(id);
+        if (!Number.isSafeInteger(value) || value <= 0) {
+            throw new SignInError('INVALID_MESSAGE', `Invalid content ID: ${id}`);
+        }
+        return value;
+    });
+}
+
+/**
+ * Build the text a wallet signs
+ * @param {object} fields
+ * @param {string} fields.domain - Host asking for the sign-in, e.g. 'tesserarx.app'
+ * @param {string} fields.address - H160 for Ethereum accounts, SS58 for Substrate accounts
+ * @param {string} fields.uri - Origin of the page signing in
+ * @param {number} fields.chainId - EVM chain ID of the network the passes live on
+ * @param {string} fields.nonce - Issued by the verifier
+ * @param {Array<number>} fields.contentIds - Decks the session should unlock
+ * @param {Date|string} fields.issuedAt
+ * @param {Date|string} fields.expirationTime
+ * @param {Date|string} fields.notBefore - Optional
+ * @param {string} fields.statement - Human-readable line shown by the wallet
+ * @returns {string}
+ */
+function formatSignInMessage({
+    domain,
+    address,
+    uri,
+    chainId,
+    nonce,
+    contentIds = [],
+    issuedAt = new Date(),
+    expirationTime,
+    notBefore = null,
+    statement = DEFAULT_STATEMENT
+}) {
+    if (!domain || !address || !uri) {
+        throw new SignInError('INVALID_MESSAGE', 'domain, address and uri are required');
+    }
+    if (!Number.isSafeInteger(chainId)) {
+        throw new SignInError('INVALID_MESSAGE', `Invalid chain ID: ${chainId}`);
+    }
+    if (!/^[A-Za-z0-9]{8,}$/.test(nonce || '')) {
+        throw new SignInError('INVALID_MESSAGE', 'The nonce must be at least 8 letters or digits');
+    }
+    if (!expirationTime) {
+        throw new SignInError('INVALID_MESSAGE', 'An expiration time is required');
+    }
+    if (statement.includes('\n')) {
+        throw new SignInError('INVALID_MESSAGE', 'The statement must be a single line');
+    }
+
+    const lines = [
+        `${domain} wants you to sign in with your ${accountType(address)} account:`,
+        address,
+        '',
+        statement,
+        '',
+        `URI: ${uri}`,
+        `Version: ${SIGN_IN_VERSION}`,
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(issuedAt).toISOString()}`,
+        `Expiration Time: ${new Date(expirationTime).toISOString()}`
+    ];
+    if (notBefore) {
+        lines.push(`Not Before: ${new Date(notBefore).toISOString()}`);
+    }
+    const ids = toContentIds(contentIds);
+    if (ids.length > 0) {
+        lines.push('Resources:', ...ids.map(id => `- ${CONTENT_RESOURCE_PREFIX}${id}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Read the fields back out of a signed message
+ * @returns {{ domain, address, accountType, statement, uri, version, chainId, nonce, issuedAt, expirationTime, notBefore, contentIds }}
+ *   Times are Dates; notBefore is null when absent
+ */
+function parseSignInMessage(message) {
+    const invalid = reason => new SignInError('INVALID_MESSAGE', `Invalid sign-in message: ${reason}`);
+    const lines = String(message).split('\n');
+
+    const header = lines[0]?.match(/^(\S+) wants you to sign in with your (Ethereum|Substrate) account:$/);
+    if (!header) throw invalid('unrecognised header');
+    const [, domain, type] = header;
+
+    const address = lines[1];
+    if (!address || accountType(address) !== type) throw invalid('address does not match the account type');
+    if (lines[2] !== '' || lines[4] !== '') throw invalid('missing statement');
+    const statement = lines[3];
+
+    const fields = {};
+    let index = 5;
+    for (; index < lines.length && lines[index] !== 'Resources:'; index++) {
+        const field = lines[index].match(/^([A-Za-z ]+): (.+)$/);
+        if (!field || field[1] in fields) throw invalid(`unexpected line "${lines[index]}"`);
+        fields[field[1]] = field[2];
+    }
+
+    const contentIds = [];
+    for (index++; index < lines.length; index++) {
+        const resource = lines[index].match(/^- (.+)$/);
+        if (!resource) throw invalid(`unexpected line "${lines[index]}"`);
+        if (resource[1].startsWith(CONTENT_RESOURCE_PREFIX)) {
+            contentIds.push(...toContentIds([resource[1].slice(CONTENT_RESOURCE_PREFIX.length)]));
+        }
+    }
+
+    const required = ['URI', 'Version', 'Chain ID', 'Nonce', 'Issued At', 'Expiration Time'];
+    const missing = required.filter(name => !fields[name]);
+    if (missing.length > 0) throw invalid(`missing ${missing.join(', ')}`);
+    if (fields.Version !== SIGN_IN_VERSION) throw invalid(`unsupported version ${fields.Version}`);
+    if (!/^\d+$/.test(fields['Chain ID'])) throw invalid('Chain ID is not a number');
+    if (!/^[A-Za-z0-9]{8,}$/.test(fields.Nonce)) throw invalid('malformed nonce');
+
+    const toDate = name => {
+        if (!fields[name]) return null;
+        const date = new Date(fields[name]);
+        if (Number.isNaN(date.getTime())) throw invalid(`${name} is not a date`);
+        return date;
+    };
+
+    return {
+        domain,
+        address,
+        accountType: type.toLowerCase(),
+        statement,
+        uri: fields.URI,
+        version: fields.Version,
+        chainId: Number(fields['Chain ID']),
+        nonce: fields.Nonce,
+        issuedAt: toDate('Issued At'),
+        expirationTime: toDate('Expiration Time'),
+        notBefore: toDate('Not Before'),
+        contentIds
+    };
+}
+
+export {
+    SIGN_IN_VERSION,
+    CONTENT_RESOURCE_PREFIX,
+    SignInError,
+    generateNonce,
+    formatSignInMessage,
+    parseSignInMessage
+};
@@ -0,0 +1,244 @@
+/**
+ * Sign-in verification for content services
+ * Checks a signed sign-in message (sign-in-message.js) before a service hands out
+ * content: the fields against what the service expects, the signature (EIP-191 from
+ * EVM wallets, signRaw from Polkadot extensions) and pass ownership on chain.
+ * Runs in Node and in the browser; needs only fetch and a JSON-RPC endpoint.
+ */
+
+import {
+    blake2AsU8a,
+    cryptoWaitReady,
+    decodeAddress,
+    ethereumEncode,
+    isEthereumAddress,
+    secp256k1Recover,
+    secp256k1Verify,
+    signatureVerify
+} from '@polkadot/util-crypto';
+import { U8A_WRAP_ETHEREUM, hexToU8a, isHex, stringToU8a, u8aConcat, u8aEq, u8aWrapBytes } from '@polkadot/util';
+import { mapAccountToEvm } from './address-mapping.js';
+import { SignInError, parseSignInMessage } from './sign-in-message.js';
+
+const BALANCE_OF_SELECTOR = '0x00fdd58e'; // balanceOf(address,uint256)
+const MAX_LIFETIME = 24 * 60 * 60 * 1000; // Longest session a message may ask for (ms)
+const CLOCK_SKEW = 60 * 1000;             // Tolerated difference between wallet and verifier clocks (ms)
+
+// Ethereum wallets encode the recovery id as v = 27/28, Polkadot keyrings as 0/1
+function normalizeRecovery(signature) {
+    if (signature.length !== 65 || signature[64] < 27) return signature;
+    const normalized = signature.slice();
+    normalized[64] -= 27;
+    return normalized;
+}
+
+// signatureVerify checks keccak signatures on the JS secp256k1 path, which recovers
+// the wrong key in this util-crypto release; verify on the WASM path instead
+function isSignedByEthereumKey(message, signature, address) {
+    try {
+        return secp256k1Verify(message, signature, address, 'keccak');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * EVM address that signed the message for an H160 account
+ * EVM wallets sign with personal_sign (EIP-191); Ethereum accounts in Polkadot
+ * extensions sign keccak256 of the <Bytes>-wrapped message
+ */
+function recoverEthereumSigner(bytes, signature, address) {
+    const sig = normalizeRecovery(signature);
+    const candidates = [
+        u8aConcat(U8A_WRAP_ETHEREUM, stringToU8a(String(bytes.length)), bytes),
+        u8aWrapBytes(bytes),
+        bytes
+    ];
+    return candidates.some(message => isSignedByEthereumKey(message, sig, address))
+        ? ethereumEncode(address)
+        : null;
+}
+
+/**
+ * EVM address for a Substrate account that signed the message
+ * Only ecdsa accounts have one, derived from the public key recovered from the signature
+ */
+function recoverSubstrateSigner(bytes, signature, address) {
+    let result;
+    try {
+        result = signatureVerify(bytes, signature, address);
+    } catch (error) {
+        return null;
+    }
+    if (!result.isValid) return null;
+
+    if (result.crypto !== 'ecdsa') {
+        const mapping = mapAccountToEvm({ address, type: result.crypto });
+        throw new SignInError('NO_EVM_ACCOUNT', mapping.warning, { address });
+    }
+
+    // Multi-signatures carry a one-byte crypto prefix
+    const sig = signature.length === 66 ? signature.subarray(1) : signature;
+    for (const candidate of [u8aWrapBytes(bytes), bytes]) {
+        try {
+            const publicKey = secp256k1Recover(blake2AsU8a(candidate), sig, sig[64]);
+            if (u8aEq(blake2AsU8a(publicKey), decodeAddress(address))) {
+                return mapAccountToEvm({ address, type: 'ecdsa', publicKey }).evmAddress;
+            }
+        } catch (error) {
+            // Not signed over this form of the message
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the signature and find the EVM address that holds the signer's passes
+ * @param {string} message - The signed sign-in message
+ * @param {string} signature - Hex signature from the wallet
+ * @param {string} address - Account named in the message (H160 or SS58)
+ * @returns {Promise<string>} Checksummed EVM address
+ */
+async function recoverSignInAddress(message, signature, address) {
+    await cryptoWaitReady();
+    if (!isHex(signature)) {
+        throw new SignInError('INVALID_SIGNATURE', 'The signature is not hex');
+    }
+
+    const bytes = stringToU8a(message);
+    const sig = hexToU8a(signature);
+    const evmAddress = isEthereumAddress(address)
+        ? recoverEthereumSigner(bytes, sig, address)
+        : recoverSubstrateSigner(bytes, sig, address);
+
+    if (!evmAddress) {
+        throw new SignInError('INVALID_SIGNATURE', `The message was not signed by ${address}`, { address });
+    }
+    return evmAddress;
+}
+
+async function rpcRequest(rpcUrls, method, params) {
+    const urls = [].concat(rpcUrls);
+    let lastError = null;
+
+    for (const url of urls) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+            });
+        } catch (error) {
+            lastError = error;
+            continue;
+        }
+        if (!response.ok) {
+            lastError = new Error(`${url} answered ${response.status}`);
+            continue;
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            throw new Error(`${method} failed: ${body.error.message}`);
+        }
+        return body.result;
+    }
+    throw new Error(`No RPC endpoint answered (${urls.join(', ')}): ${lastError?.message}`);
+}
+
+/**
+ * Read pass balances straight from the factory (ERC-1155 balanceOf)
+ * @param {object} options
+ * @param {string|Array<string>} options.rpcUrls - JSON-RPC endpoints, tried in order
+ * @param {string} options.factoryAddress
+ * @param {string} options.owner - EVM address
+ * @param {Array<number>} options.contentIds
+ * @returns {Promise<Object<number, bigint>>} Balance per content ID
+ */
+async function getPassBalances({ rpcUrls, factoryAddress, owner, contentIds }) {
+    const balances = await Promise.all(contentIds.map(id => {
+        const data = BALANCE_OF_SELECTOR
+            + owner.slice(2).toLowerCase().padStart(64, '0')
+            + BigInt(id).toString(16).padStart(64, '0');
+        return rpcRequest(rpcUrls, 'eth_call', [{ to: factoryAddress, data }, 'latest']);
+    }));
+    return Object.fromEntries(contentIds.map((id, index) => [id, BigInt(balances[index])]));
+}
+
+/**
+ * Verify a signed sign-in message
+ * @param {{ message: string, signature: string }} signedMessage
+ * @param {object} options
+ * @param {string} options.domain - Host the message must name (the site users sign in on)
+ * @param {number} options.chainId
+ * @param {function} options.consumeNonce - (nonce) => boolean|Promise<boolean>; true if the nonce was issued and unused.
+ *   Called only once the signature checks out, and must make the nonce unusable
+ * @param {string|Array<string>} options.rpcUrls - For the ownership check
+ * @param {string} options.factoryAddress
+ * @param {function} options.getBalances - Replaces getPassBalances, e.g. with a cached lookup
+ * @param {number} options.now - Current time in ms, for tests
+ * @param {number} options.maxLifetime - Longest allowed expiry after Issued At (ms)
+ * @returns {Promise<{ address: string, evmAddress: string, chainId: number, domain: string, contentIds: Array<number>, issuedAt: Date, expiresAt: Date }>}
+ * @throws {SignInError} INVALID_MESSAGE, DOMAIN_MISMATCH, CHAIN_MISMATCH, NOT_YET_VALID, EXPIRED,
+ *   LIFETIME_EXCEEDED, INVALID_SIGNATURE, NO_EVM_ACCOUNT, INVALID_NONCE or NOT_OWNED
+ */
+async function verifySignIn({ message, signature }, options) {
+    const {
+        domain,
+        chainId,
+        consumeNonce,
+        rpcUrls,
+        factoryAddress,
+        getBalances = getPassBalances,
+        now = Date.now(),
+        maxLifetime = MAX_LIFETIME
+    } = options;
+    if (!domain || !chainId || typeof consumeNonce !== 'function') {
+        throw new Error('verifySignIn needs domain, chainId and consumeNonce');
+    }
+
+    const fields = parseSignInMessage(message);
+
+    if (fields.domain !== domain) {
+        throw new SignInError('DOMAIN_MISMATCH', `The message is for ${fields.domain}, not ${domain}`);
+    }
+    if (fields.chainId !== chainId) {
+        throw new SignInError('CHAIN_MISMATCH', `The message is for chain ${fields.chainId}, not ${chainId}`);
+    }
+    if (fields.issuedAt.getTime() > now + CLOCK_SKEW || fields.notBefore?.getTime() > now) {
+        throw new SignInError('NOT_YET_VALID', 'The sign-in message is not valid yet');
+    }
+    if (fields.expirationTime.getTime() <= now) {
+        throw new SignInError('EXPIRED', 'The sign-in message has expired');
+    }
+    if (fields.expirationTime - fields.issuedAt > maxLifetime) {
+        throw new SignInError('LIFETIME_EXCEEDED', `Sessions may last at most ${maxLifetime / 60000} minutes`);
+    }
+
+    const evmAddress = await recoverSignInAddress(message, signature, fields.address);
+
+    if (!await consumeNonce(fields.nonce)) {
+        throw new SignInError('INVALID_NONCE', 'The nonce is unknown, expired or already used');
+    }
+
+    if (fields.contentIds.length > 0) {
+        const balances = await getBalances({ rpcUrls, factoryAddress, owner: evmAddress, contentIds: fields.contentIds });
+        const missing = fields.contentIds.filter(id => !(BigInt(balances[id] ?? 0) > 0n));
+        if (missing.length > 0) {
+            throw new SignInError('NOT_OWNED', `${evmAddress} holds no pass for content ${missing.join(', ')}`, { missing });
+        }
+    }
+
+    return {
+        address: fields.address,
+        evmAddress,
+        chainId: fields.chainId,
+        domain: fields.domain,
+        contentIds: fields.contentIds,
+        issuedAt: fields.issuedAt,
+        expiresAt: fields.expirationTime
+    };
+}
+
+export { getPassBalances, recoverSignInAddress, verifySignIn };
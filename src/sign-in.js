@@ -0,0 +1,128 @@
+/**
+ * Sign-in with wallet
+ * Proves to a content service which account is asking: the service issues a nonce,
+ * the connected wallet signs a sign-in message naming the requested decks, and the
+ * service checks it (sign-in-verifier.js) and answers with a session token.
+ * Sessions are kept per verifier until the tab closes or the wallet disconnects.
+ */
+
+import { SignInError, formatSignInMessage } from './sign-in-message.js';
+
+const SESSION_STORAGE_KEY = 'tesserarx_sign_in';
+const DEFAULT_EXPIRY = 60 * 60 * 1000; // Session length asked for (ms)
+
+async function requestJson(url, options = {}) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new SignInError(body.code || 'VERIFIER_ERROR', body.error || `${url} answered ${response.status}`, body.details);
+    }
+    return body;
+}
+
+function loadSessions() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// One session per verifier, keyed by its base URL
+function sessionKey(verifierUrl) {
+    return verifierUrl.replace(/\/$/, '');
+}
+
+function saveSessions(sessions) {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessions));
+}
+
+/**
+ * Build and sign a sign-in message with the connected account
+ * Use this to hand the signed message to a service directly; signIn() does the whole exchange
+ * @param {object} walletManager - Connected WalletManager
+ * @param {object} options
+ * @param {string} options.nonce - Issued by the service
+ * @param {Array<number>} options.contentIds - Decks to unlock
+ * @param {string} options.statement - Line shown in the wallet
+ * @param {number} options.expiresIn - Session length in ms
+ * @returns {Promise<{ message: string, signature: string, address: string }>}
+ */
+async function createSignIn(walletManager, {
+    nonce,
+    contentIds = [],
+    statement,
+    expiresIn = DEFAULT_EXPIRY,
+    domain = window.location.host,
+    uri = window.location.origin
+}) {
+    if (!walletManager.isConnected()) {
+        throw new Error('Wallet not connected');
+    }
+
+    // The account the wallet signs with: SS58 for Substrate keys, H160 for Ethereum keys
+    const address = walletManager.getSubstrateAddress();
+    const issuedAt = new Date();
+    const message = formatSignInMessage({
+        domain,
+        address,
+        uri,
+        chainId: walletManager.network.chainId,
+        nonce,
+        contentIds,
+        statement,
+        issuedAt,
+        expirationTime: new Date(issuedAt.getTime() + expiresIn)
+    });
+
+    const signature = await walletManager.signMessage(message);
+    return { message, signature, address };
+}
+
+/**
+ * This tab's session with a verifier, if it is still valid for the connected account
+ * @param {Array<number>} contentIds - Only return the session if it covers all of these
+ * @returns {object|null}
+ */
+function getSession(walletManager, verifierUrl, contentIds = []) {
+    const session = loadSessions()[sessionKey(verifierUrl)];
+    if (!session) return null;
+
+    const valid = new Date(session.expiresAt).getTime() > Date.now()
+        && session.evmAddress === walletManager.getEvmAddress()
+        && session.chainId === walletManager.network.chainId
+        && contentIds.every(id => session.contentIds.includes(Number(id)));
+    return valid ? session : null;
+}
+
+/**
+ * Sign in to a verifier: fetch a nonce, sign, and exchange the signature for a session
+ * A session that is still valid and covers the content IDs is reused without prompting
+ * @param {object} walletManager - Connected WalletManager
+ * @param {object} options - verifierUrl, plus the createSignIn options (contentIds, statement, expiresIn)
+ * @returns {Promise<{ token: string, evmAddress: string, contentIds: Array<number>, expiresAt: string }>}
+ */
+async function signIn(walletManager, { verifierUrl, ...options }) {
+    const base = sessionKey(verifierUrl);
+    const existing = getSession(walletManager, base, options.contentIds);
+    if (existing) return existing;
+
+    const { nonce } = await requestJson(`${base}/nonce`);
+    const { message, signature } = await createSignIn(walletManager, { ...options, nonce });
+    const { token, session } = await requestJson(`${base}/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message, signature })
+    });
+
+    const signedIn = { ...session, token };
+    saveSessions({ ...loadSessions(), [base]: signedIn });
+    console.log(`🔑 Signed in to ${base} as ${session.evmAddress}`);
+    return signedIn;
+}
+
+function clearSessions() {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+export { createSignIn, getSession, signIn, clearSessions };
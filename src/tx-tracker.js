@@ -0,0 +1,216 @@
+/**
+ * Transaction lifecycle tracking for EVM transactions submitted through the ethereum pallet
+ * States: submitted → inBlock → executed → finalized, or failed at any point
+ */
+
+import { toContractError } from './contract-errors.js';
+
+const TX_STATES = ['submitted', 'inBlock', 'executed', 'finalized', 'failed'];
+
+function deferred() {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    // Rejections are rethrown to whoever awaits; avoid unhandled warnings in the meantime
+    promise.catch(() => {});
+    return { promise, resolve, reject };
+}
+
+/**
+ * Read an ExitReason enum, e.g. { type: 'Revert', detail: 'Reverted' }
+ */
+function describeExitReason(exitReason) {
+    const type = exitReason?.type ?? String(exitReason);
+    const detail = exitReason?.value?.type ?? exitReason?.value?.toString?.() ?? null;
+    return { type, detail, succeeded: type === 'Succeed' };
+}
+
+/**
+ * Tracks one extrinsic wrapping an EVM transaction
+ * Listen with tracker.on(state, handler); 'status' receives every state change
+ */
+class TransactionTracker {
+    /**
+     * @param {object} api - ApiPromise
+     * @param {object} options
+     * @param {function} options.waitForReceipt - (hash, confirmations) => Promise<receipt>
+     * @param {function} options.decodeRevert - (revertData) => decoded error, see toContractError
+     * @param {string} options.method - Contract method, for error messages
+     */
+    constructor(api, { waitForReceipt, decodeRevert = () => null, method = null } = {}) {
+        this.api = api;
+        this.waitForReceipt = waitForReceipt;
+        this.decodeRevert = decodeRevert;
+        this.method = method;
+
+        this.state = null;
+        this.extrinsicHash = null;
+        this.blockHash = null;
+        this.finalizedBlockHash = null;
+        this.hash = null;           // EVM transaction hash, known once executed
+        this.nonce = null;          // Set by the sender (see nonce-manager.js)
+        this.from = null;
+        this.to = null;
+        this.exitReason = null;
+        this.status = null;         // 1 succeeded, 0 reverted
+        this.error = null;
+
+        this.listeners = {};
+        this.unsubscribe = null;
+        this.executedDeferred = deferred();
+        this.finalizedDeferred = deferred();
+    }
+
+    on(state, handler) {
+        if (state !== 'status' && !TX_STATES.includes(state)) {
+            throw new Error(`Unknown transaction state: ${state}`);
+        }
+        (this.listeners[state] = this.listeners[state] || []).push(handler);
+        return this;
+    }
+
+    off(state, handler) {
+        this.listeners[state] = (this.listeners[state] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(state, detail = {}) {
+        this.state = state;
+        const payload = { state, extrinsicHash: this.extrinsicHash, hash: this.hash, ...detail };
+
+        [...(this.listeners[state] || []), ...(this.listeners.status || [])].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Transaction ${state} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Sign and submit the extrinsic
+     * @returns {Promise<TransactionTracker>} Resolves once the EVM transaction has executed
+     *   (reverted or not); rejects if the extrinsic itself fails
+     */
+    async submit(extrinsic, address, signOptions) {
+        try {
+            this.unsubscribe = await extrinsic.signAndSend(address, signOptions, result => this.handleResult(result));
+            // Already settled while the subscription was being set up
+            if (this.state === 'finalized' || this.state === 'failed') this.stop();
+        } catch (error) {
+            this.fail(error);
+        }
+        return this.executedDeferred.promise;
+    }
+
+    handleResult({ status, events = [], dispatchError, txHash }) {
+        if (this.state === 'failed' || this.state === 'finalized') return;
+
+        if (txHash && !this.extrinsicHash) {
+            this.extrinsicHash = txHash.toHex();
+        }
+
+        if (dispatchError) {
+            if (dispatchError.isModule) {
+                const decoded = this.api.registry.findMetaError(dispatchError.asModule);
+                this.fail(new Error(`${decoded.section}.${decoded.name}: ${decoded.docs}`));
+            } else {
+                this.fail(new Error(dispatchError.toString()));
+            }
+            return;
+        }
+
+        if (status.isDropped || status.isInvalid || status.isUsurped) {
+            this.fail(new Error(`Transaction ${status.type.toLowerCase()}`));
+            return;
+        }
+
+        if (!this.state && (status.isReady || status.isBroadcast || status.isInBlock || status.isFinalized)) {
+            this.emit('submitted');
+        }
+
+        // Nodes may skip InBlock and report Finalized directly
+        if ((status.isInBlock || status.isFinalized) && !this.blockHash) {
+            this.blockHash = status.isInBlock ? status.asInBlock.toHex() : status.asFinalized.toHex();
+            this.emit('inBlock', { blockHash: this.blockHash });
+            this.handleExecuted(events);
+        }
+
+        if (status.isFinalized && this.state !== 'failed') {
+            this.finalizedBlockHash = status.asFinalized.toHex();
+            this.emit('finalized', { blockHash: this.finalizedBlockHash });
+            this.finalizedDeferred.resolve(this);
+            this.stop();
+        }
+    }
+
+    /**
+     * Read the ethereum.Executed event: (from, to, transaction_hash, exit_reason[, extra_data])
+     */
+    handleExecuted(events) {
+        const executed = events.find(({ event }) => event.section === 'ethereum' && event.method === 'Executed');
+        if (!executed) {
+            this.fail(new Error(`No ethereum.Executed event in block ${this.blockHash}`));
+            return;
+        }
+
+        const [from, to, transactionHash, exitReason, extraData] = executed.event.data;
+        this.hash = transactionHash.toHex();
+        this.from = from.toHex();
+        this.to = to.toHex();
+        this.exitReason = describeExitReason(exitReason);
+        this.status = this.exitReason.succeeded ? 1 : 0;
+
+        if (!this.exitReason.succeeded) {
+            // Newer runtimes put the revert output in extra_data
+            const data = extraData && extraData.length ? extraData.toHex() : null;
+            const message = `Transaction reverted (${this.exitReason.type}: ${this.exitReason.detail})`;
+            this.error = toContractError({ message, reason: message, data }, this.decodeRevert, this.method);
+        }
+
+        console.log(`${this.status ? '✅' : '❌'} EVM transaction ${this.hash}:`, this.exitReason);
+        this.emit('executed', { exitReason: this.exitReason, status: this.status, blockHash: this.blockHash });
+        this.executedDeferred.resolve(this);
+    }
+
+    fail(error) {
+        this.error = error;
+        this.emit('failed', { error });
+        this.executedDeferred.reject(error);
+        this.finalizedDeferred.reject(error);
+        this.stop();
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Wait for a receipt with the given number of confirmations (1 = included in a block)
+     * Rejects with a ContractError if the transaction reverted
+     */
+    async wait(confirmations = 1) {
+        await this.executedDeferred.promise;
+        if (this.status === 0) throw this.error;
+
+        const receipt = await this.waitForReceipt(this.hash, Math.max(confirmations, 1));
+        if (receipt && Number(receipt.status) === 0) {
+            throw toContractError({ message: 'Transaction reverted', reason: 'Transaction reverted', receipt }, this.decodeRevert, this.method);
+        }
+        return receipt;
+    }
+
+    /**
+     * Wait for the block containing the transaction to be finalized
+     */
+    finalized() {
+        return this.finalizedDeferred.promise;
+    }
+}
+
+export { TransactionTracker, TX_STATES, describeExitReason };
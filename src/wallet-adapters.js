@@ -0,0 +1,285 @@
+/**
+ * Wallet adapters
+ * One interface over both kinds of wallet the app can use:
+ * - Polkadot extensions (Polkadot.js, Talisman, SubWallet, ...), which sign EVM
+ *   transactions as ethereum.transact extrinsics
+ * - EVM wallets found through EIP-6963 provider discovery (MetaMask, Rabby,
+ *   Talisman's Ethereum side, ...), or a lone legacy window.ethereum
+ *
+ * Every adapter provides:
+ *   connect()                 Ask the wallet for access; resolves to its accounts
+ *   reconnect()               Restore an earlier session, prompting only if the wallet requires it
+ *   accounts()                Accounts already shared with the app, without prompting
+ *   getInjector(account)      Polkadot injector for signing extrinsics (null for EVM wallets)
+ *   getSigner(walletManager)  ethers Signer for the account selected in the manager
+ *   signMessage(walletManager, message)
+ *   on(event, handler) / off  'accountsChanged' (accounts), 'chainChanged' (chainId), 'disconnect'
+ *   disconnect()
+ * Accounts have the shape of @polkadot/extension-dapp accounts, { address, type, meta: { name, source } };
+ * EVM wallet accounts have type 'ethereum' and their H160 as address
+ */
+
+import { web3Accounts, web3AccountsSubscribe, web3Enable, web3FromAddress } from '@polkadot/extension-dapp';
+import { ethereumEncode } from '@polkadot/util-crypto';
+import { createPolkadotEVMSigner } from './polkadot-signer.js';
+import { ensureEthereumChain } from './networks.js';
+import { EXTENSION_NAMES } from './account-selector.js';
+
+const APP_NAME = 'Tesserarx';
+const ADAPTER_EVENTS = ['accountsChanged', 'chainChanged', 'disconnect'];
+const EIP6963_DISCOVERY_MS = 100; // Wallets answer the request right away; allow slow ones a moment
+
+class WalletAdapter {
+    /**
+     * @param {object} options
+     * @param {string} options.id - Stable across page loads, used to reconnect the same wallet
+     * @param {string} options.kind - 'polkadot' or 'evm'
+     * @param {string} options.name - Shown in the wallet chooser
+     * @param {string} options.icon - Image URL or data URI, if the wallet provides one
+     */
+    constructor({ id, kind, name, icon = null }) {
+        this.id = id;
+        this.kind = kind;
+        this.name = name;
+        this.icon = icon;
+        this.listeners = {};
+    }
+
+    on(event, handler) {
+        if (!ADAPTER_EVENTS.includes(event)) {
+            throw new Error(`Unknown wallet event: ${event}`);
+        }
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Wallet ${event} listener failed:`, error);
+            }
+        });
+    }
+
+    async reconnect() {
+        return this.connect();
+    }
+
+    async getInjector() {
+        return null;
+    }
+
+    async signMessage(walletManager, message) {
+        const signer = await this.getSigner(walletManager);
+        return signer.signMessage(message);
+    }
+
+    disconnect() {}
+}
+
+/**
+ * All injected Polkadot extensions as one wallet
+ * Their accounts are listed together and grouped by extension in the account picker
+ */
+class PolkadotExtensionAdapter extends WalletAdapter {
+    constructor() {
+        super({ id: 'polkadot', kind: 'polkadot', name: 'Polkadot Extension' });
+        this.unsubscribeAccounts = null;
+    }
+
+    /**
+     * Names of the injected extensions, e.g. ['Talisman', 'SubWallet']
+     */
+    get extensions() {
+        return Object.keys(window.injectedWeb3 || {}).map(source => EXTENSION_NAMES[source] || source);
+    }
+
+    async connect() {
+        const extensions = await web3Enable(APP_NAME);
+        if (extensions.length === 0) {
+            return [];
+        }
+
+        if (!this.unsubscribeAccounts) {
+            this.unsubscribeAccounts = await web3AccountsSubscribe(accounts => this.emit('accountsChanged', accounts));
+        }
+        return this.accounts();
+    }
+
+    async accounts() {
+        return web3Accounts();
+    }
+
+    async getInjector(account) {
+        return web3FromAddress(account.address);
+    }
+
+    async getSigner(walletManager) {
+        return createPolkadotEVMSigner(walletManager, await walletManager.getWeb3Provider());
+    }
+
+    disconnect() {
+        if (this.unsubscribeAccounts) {
+            this.unsubscribeAccounts();
+            this.unsubscribeAccounts = null;
+        }
+    }
+}
+
+/**
+ * An EIP-1193 provider announced through EIP-6963 (or window.ethereum)
+ * Transactions are signed and sent by the wallet itself
+ */
+class Eip6963Adapter extends WalletAdapter {
+    /**
+     * @param {object} detail - EIP-6963 provider detail: { info: { uuid, name, icon, rdns }, provider }
+     */
+    constructor({ info, provider }) {
+        // rdns is stable across page loads; uuid is not
+        super({ id: `eip6963:${info.rdns || info.uuid}`, kind: 'evm', name: info.name, icon: info.icon || null });
+        this.info = info;
+        this.provider = provider;
+        this.subscriptions = null;
+    }
+
+    toAccounts(addresses = []) {
+        return addresses.map((address, index) => ({
+            address: ethereumEncode(address),
+            type: 'ethereum',
+            meta: {
+                name: addresses.length > 1 ? `${this.name} ${index + 1}` : this.name,
+                source: this.name
+            }
+        }));
+    }
+
+    async connect() {
+        const addresses = await this.provider.request({ method: 'eth_requestAccounts' });
+        this.subscribe();
+        return this.toAccounts(addresses);
+    }
+
+    async accounts() {
+        return this.toAccounts(await this.provider.request({ method: 'eth_accounts' }));
+    }
+
+    // eth_accounts is empty rather than prompting when the wallet is locked or access was revoked
+    async reconnect() {
+        this.subscribe();
+        return this.accounts();
+    }
+
+    subscribe() {
+        if (this.subscriptions || typeof this.provider.on !== 'function') return;
+
+        this.subscriptions = {
+            accountsChanged: addresses => this.emit('accountsChanged', this.toAccounts(addresses)),
+            chainChanged: chainId => this.emit('chainChanged', parseInt(chainId, 16)),
+            disconnect: () => this.emit('disconnect')
+        };
+        Object.entries(this.subscriptions).forEach(([event, handler]) => this.provider.on(event, handler));
+    }
+
+    async getSigner(walletManager) {
+        const { ethers } = window;
+        if (!ethers) {
+            throw new Error('ethers.js not loaded');
+        }
+
+        // The wallet signs for whichever chain it is on
+        await ensureEthereumChain(this.provider, walletManager.network);
+        const web3Provider = new ethers.providers.Web3Provider(this.provider, 'any');
+        return web3Provider.getSigner(walletManager.getEvmAddress());
+    }
+
+    disconnect() {
+        if (!this.subscriptions) return;
+        Object.entries(this.subscriptions).forEach(([event, handler]) => this.provider.removeListener?.(event, handler));
+        this.subscriptions = null;
+    }
+}
+
+// Adapters are reused so their subscriptions outlive a single discovery
+const adapters = new Map();
+const announcedProviders = new Map();
+let listeningForProviders = false;
+
+function adapterFor(id, create) {
+    if (!adapters.has(id)) {
+        adapters.set(id, create());
+    }
+    return adapters.get(id);
+}
+
+/**
+ * Collect EIP-6963 announcements; wallets announce again whenever a dapp asks
+ */
+function requestEip6963Providers() {
+    if (!listeningForProviders) {
+        listeningForProviders = true;
+        window.addEventListener('eip6963:announceProvider', event => {
+            const { info, provider } = event.detail || {};
+            if (info && provider) {
+                announcedProviders.set(info.rdns || info.uuid, { info, provider });
+            }
+        });
+    }
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+}
+
+function documentLoaded() {
+    if (document.readyState === 'complete') return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+}
+
+/**
+ * Find every wallet available in this browser
+ * Extensions inject after the page loads, so this waits for the load event
+ * @returns {Promise<WalletAdapter[]>} Polkadot extensions first, then EVM wallets
+ */
+async function discoverWallets() {
+    await documentLoaded();
+    requestEip6963Providers();
+    await new Promise(resolve => setTimeout(resolve, EIP6963_DISCOVERY_MS));
+
+    const found = [];
+    if (Object.keys(window.injectedWeb3 || {}).length > 0) {
+        found.push(adapterFor('polkadot', () => new PolkadotExtensionAdapter()));
+    }
+
+    announcedProviders.forEach(detail => {
+        const adapter = new Eip6963Adapter(detail);
+        found.push(adapterFor(adapter.id, () => adapter));
+    });
+
+    // Wallets that predate EIP-6963 only set window.ethereum
+    if (announcedProviders.size === 0 && window.ethereum) {
+        const detail = { info: { uuid: 'injected', rdns: 'injected', name: 'Browser Wallet', icon: null }, provider: window.ethereum };
+        found.push(adapterFor('eip6963:injected', () => new Eip6963Adapter(detail)));
+    }
+
+    return found;
+}
+
+/**
+ * A discovered wallet by adapter id, or null if it is no longer available
+ */
+async function findWallet(id) {
+    const wallets = await discoverWallets();
+    return wallets.find(wallet => wallet.id === id) || null;
+}
+
+export {
+    WalletAdapter,
+    PolkadotExtensionAdapter,
+    Eip6963Adapter,
+    discoverWallets,
+    findWallet
+};
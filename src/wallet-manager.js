@@ -1,28 +1,95 @@
-import { web3Accounts, web3Enable, web3FromAddress } from '@polkadot/extension-dapp';
-import { ApiPromise, WsProvider } from '@polkadot/api';
-import { decodeAddress } from '@polkadot/util-crypto';
-import { u8aToHex } from '@polkadot/util';
+import { cryptoWaitReady } from '@polkadot/util-crypto';
+import { configureGas, quoteWithProvider, splitGasOverrides } from './gas.js';
+import { toContractError } from './contract-errors.js';
+import { createBatchingProvider } from './multicall.js';
+import { ChainConnection, configureConnection } from './chain-connection.js';
+import { NonceManager } from './nonce-manager.js';
+import { pickAccount, saveSelectedAddress, groupAccountsBySource, showAccountPicker, showWalletChooser } from './account-selector.js';
+import { mapAccountToEvm } from './address-mapping.js';
+import { getNetworkConfig, getActiveNetwork } from './networks.js';
+import { discoverWallets, findWallet } from './wallet-adapters.js';
+import { signIn, getSession, clearSessions } from './sign-in.js';
+import { createPolkadotEVMSigner, decodeRevertWithInterface } from './polkadot-signer.js';
+import { DEFAULT_FACTORY_VERSION, getFactoryAbi, detectFactoryVersion } from './contract-definition.js';
+import { escapeHtml } from './html.js';
 
 const STORAGE_KEY = 'tesserarx_wallet_connected';
-const CONTRACT_ADDRESS = "0xBFF26E227Cb5fb0Feb0D18250C0a655A6066C865"; // V2.1
-const MOONBASE_ALPHA_RPC = 'https://rpc.api.moonbase.moonbeam.network';
-const MOONBASE_ALPHA_WS = 'wss://wss.api.moonbase.moonbeam.network';
-const APP_NAME = 'Tesserarx';
+const WALLET_KEY = 'tesserarx_wallet'; // Adapter id of the connected wallet
+
+// Events pages subscribe to with walletManager.on(event, handler):
+//   connecting      { wallet, account }               Connecting to the chain with the chosen account
+//   connected       { wallet, account, evmAddress, network }
+//   accountChanged  { account, evmAddress, previousEvmAddress }
+//   networkChanged  { network, previous }
+//   disconnected    { evmAddress }                     The account that was connected
+//   error           { action, error }                  action: 'connect', 'autoConnect' or 'accountsChanged'
+//   health          { status, endpoint, latency, bestBlock, syncing, ... }  Chain connection health, see chain-connection.js
+const WALLET_EVENTS = ['connecting', 'connected', 'accountChanged', 'networkChanged', 'disconnected', 'error', 'health'];
 
 /**
- * Unified Wallet Manager using Polkadot SDK
- * Connects to Polkadot wallet extensions and provides EVM compatibility
+ * Unified Wallet Manager
+ * Connects through a wallet adapter (Polkadot extensions or EIP-6963 EVM wallets,
+ * see wallet-adapters.js) and provides EVM compatibility
  */
 class WalletManager {
     constructor() {
+        // Endpoints and factory address, from the registry in public/config.js
+        this.network = getActiveNetwork();
         this.api = null;
+        this.connection = null; // Reconnects and fails over between the network's endpoints
+        this.adapter = null;
+        this.accounts = [];
         this.selectedAccount = null;
-        this.injector = null;
+        this.injector = null; // Polkadot accounts only: signs the ethereum.transact extrinsics
         this.evmAddress = null;
         this.provider = null; // Will use for Web3/ethers compatibility
+        this.transactionHandlers = [];
+        this.listeners = {};
+        this.factoryVersion = null;
+        this.contractInterfaces = new Map(); // Lowercase address -> ethers Interface, to decode custom errors
+        // Shared with the Polkadot signer and EvmContract (options.nonceManager)
+        this.nonceManager = this.createNonceManager();
+        this.handleAccountsChanged = this.handleAccountsChanged.bind(this);
+        this.handleChainChanged = this.handleChainChanged.bind(this);
+        this.handleWalletDisconnect = this.handleWalletDisconnect.bind(this);
         this.init();
     }
 
+    createNonceManager() {
+        return new NonceManager(async address => {
+            const provider = await this.getWeb3Provider();
+            return provider.getTransactionCount(address, 'pending');
+        });
+    }
+
+    /**
+     * Subscribe to a wallet event (see WALLET_EVENTS)
+     * Auto-connect finishes after the page's load event, so subscribing while the page loads sees it
+     * @returns {WalletManager} this, for chaining
+     */
+    on(event, handler) {
+        if (!WALLET_EVENTS.includes(event)) {
+            throw new Error(`Unknown wallet event: ${event}`);
+        }
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Wallet ${event} listener failed:`, error);
+            }
+        });
+    }
+
     async init() {
         // Check for persisted connection
         const wasConnected = localStorage.getItem(STORAGE_KEY) === 'true';
@@ -36,105 +103,225 @@ class WalletManager {
 
     async autoConnect() {
         try {
-            // Enable extensions
-            const extensions = await web3Enable(APP_NAME);
+            // The wallet used last time; sessions from before adapters were Polkadot extensions
+            const adapter = await findWallet(localStorage.getItem(WALLET_KEY) || 'polkadot');
 
-            if (extensions.length === 0) {
+            if (!adapter) {
                 localStorage.removeItem(STORAGE_KEY);
                 return;
             }
 
-            // Get accounts
-            const accounts = await web3Accounts();
+            const accounts = await adapter.reconnect();
+            this.useAdapter(adapter, accounts);
+
+            // Key expansion for ecdsa accounts needs the WASM crypto
+            await cryptoWaitReady();
+
+            // The account chosen last time, or the first one that can control EVM assets
+            const account = pickAccount(accounts, a => this.mapAccount(a).canControlEvm);
+
+            if (account) {
+                this.emit('connecting', { wallet: adapter, account });
 
-            if (accounts.length > 0) {
                 // Connect to chain
                 await this.connectToChain();
 
-                // Select first account
-                await this.setupProvider(accounts[0]);
+                await this.setupProvider(account);
+                this.emitConnected();
             } else {
+                if (accounts.length > 0) {
+                    console.warn('⚠ No injected account can control EVM assets on Moonbeam');
+                }
+                this.releaseAdapter();
                 localStorage.removeItem(STORAGE_KEY);
             }
         } catch (error) {
             console.error('Auto-connect failed:', error);
             localStorage.removeItem(STORAGE_KEY);
+            this.emit('error', { action: 'autoConnect', error });
         }
     }
 
     async connect() {
         try {
-            // Enable web3 extensions
-            const extensions = await web3Enable(APP_NAME);
+            // Polkadot extensions and EIP-6963 wallets, offered together
+            const wallets = await discoverWallets();
 
-            if (extensions.length === 0) {
+            if (wallets.length === 0) {
                 const installLinks = [
                     '• Polkadot.js: https://polkadot.js.org/extension/',
                     '• Talisman: https://talisman.xyz/',
-                    '• SubWallet: https://subwallet.app/'
+                    '• SubWallet: https://subwallet.app/',
+                    '• MetaMask: https://metamask.io/'
                 ].join('\n');
 
-                alert(`No Polkadot wallet extension detected.\n\nPlease install one of these wallets:\n\n${installLinks}`);
+                alert(`No wallet detected.\n\nPlease install one of these wallets:\n\n${installLinks}`);
                 return false;
             }
 
-            // Get all accounts
-            const accounts = await web3Accounts();
+            const adapter = wallets.length === 1 ? wallets[0] : await showWalletChooser(wallets);
+            if (!adapter) {
+                return false;
+            }
+
+            // Ask the wallet for access
+            const accounts = await adapter.connect();
 
             if (accounts.length === 0) {
-                alert('No accounts found in your wallet.\n\nPlease create or import an account in your Polkadot wallet extension.');
+                alert(`No accounts found in ${adapter.name}.\n\nPlease create or import an account, and allow Tesserarx to access it.`);
+                return false;
+            }
+
+            await cryptoWaitReady();
+
+            if (accounts.length === 1) {
+                const mapping = this.mapAccount(accounts[0]);
+                if (!mapping.canControlEvm) {
+                    alert(mapping.warning);
+                    return false;
+                }
+            }
+
+            // Let the user choose when there is more than one account; incompatible ones are shown disabled
+            const account = accounts.length === 1
+                ? accounts[0]
+                : await showAccountPicker(accounts, {
+                    mapAccount: a => this.mapAccount(a),
+                    selected: pickAccount(accounts, a => this.mapAccount(a).canControlEvm)?.address
+                });
+            if (!account) {
                 return false;
             }
 
-            // Connect to Moonbase Alpha
+            // Only now replace the active wallet, so cancelling above leaves it as it was
+            this.useAdapter(adapter, accounts);
+            this.emit('connecting', { wallet: adapter, account });
+
+            // Connect to the active network
             await this.connectToChain();
 
-            // Setup provider with first account
-            await this.setupProvider(accounts[0]);
+            await this.setupProvider(account);
+            saveSelectedAddress(account.address);
 
             localStorage.setItem(STORAGE_KEY, 'true');
+            localStorage.setItem(WALLET_KEY, adapter.id);
             this.renderWalletStatus();
+            this.emitConnected();
 
             return true;
         } catch (error) {
             console.error('Connection error:', error);
+            this.emit('error', { action: 'connect', error });
             alert('Failed to connect wallet: ' + error.message);
             return false;
         }
     }
 
+    emitConnected() {
+        this.emit('connected', {
+            wallet: this.adapter,
+            account: this.selectedAccount,
+            evmAddress: this.evmAddress,
+            network: this.network
+        });
+    }
+
     async connectToChain() {
         if (this.api) return this.api;
 
-        try {
-            const provider = new WsProvider(MOONBASE_ALPHA_WS);
-            this.api = await ApiPromise.create({ provider });
+        if (!this.connection) {
+            this.connection = new ChainConnection(this.network);
+            this.connection.on('health', health => this.emit('health', health));
+        }
 
-            await this.api.isReady;
+        try {
+            const api = await this.connection.connect();
 
-            const chain = await this.api.rpc.system.chain();
-            const version = await this.api.rpc.system.version();
+            const chain = await api.rpc.system.chain();
+            const version = await api.rpc.system.version();
 
             console.log(`✅ Connected to ${chain} (v${version})`);
 
+            this.api = api;
             return this.api;
         } catch (error) {
-            console.error('Failed to connect to Moonbase Alpha:', error);
-            throw new Error('Could not connect to Moonbase Alpha network');
+            console.error(`Failed to connect to ${this.network.name}:`, error);
+            this.connection = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Health of the chain connection: status, endpoint, latency, best block and syncing state
+     * @returns {object} See ChainConnection.getHealth(); status 'disconnected' before the first connection
+     */
+    getChainHealth() {
+        return this.connection?.getHealth() || { status: 'disconnected', network: this.network.name, endpoint: null };
+    }
+
+    /**
+     * Factory address on the active network
+     */
+    getContractAddress() {
+        if (!this.network.factoryAddress) {
+            throw new Error(`No Tesserarx factory is configured for ${this.network.name}`);
+        }
+        return this.network.factoryAddress;
+    }
+
+    /**
+     * Switch to another network from the registry
+     * Reconnects to the new chain; providers, the detected factory version and
+     * local nonces belong to the old one and are dropped. Deck caches are kept
+     * per network, so switching back finds them again. Pages reload their
+     * contracts and decks on 'networkChanged'.
+     * @param {string} networkId - Key in TesserarxConfig.NETWORKS
+     * @returns {Promise<boolean>} Whether the network changed
+     */
+    async switchNetwork(networkId) {
+        if (networkId === this.network.id) {
+            return false;
+        }
+
+        const previous = this.network;
+        this.network = getNetworkConfig().setActiveNetwork(networkId);
+        console.log('🌐 Switching network:', previous.name, '→', this.network.name);
+
+        if (this.connection) {
+            await this.connection.disconnect();
         }
+        this.connection = null;
+        this.api = null;
+        this.provider = null;
+        this.factoryVersion = null;
+        this.nonceManager = this.createNonceManager();
+
+        if (this.selectedAccount) {
+            await this.connectToChain();
+        }
+
+        this.emit('networkChanged', { network: this.network, previous });
+        return true;
     }
 
     async setupProvider(account) {
+        // Moonbeam only has EVM accounts for Ethereum keys; see address-mapping.js
+        const mapping = this.mapAccount(account);
+        if (!mapping.canControlEvm) {
+            throw new Error(mapping.warning);
+        }
+
         this.selectedAccount = account;
 
-        // Get injector for signing
-        this.injector = await web3FromAddress(account.address);
+        // Polkadot extensions sign through an injector; EVM wallets sign themselves
+        this.injector = await this.adapter.getInjector(account);
 
-        // Convert Substrate address to EVM address
-        this.evmAddress = this.substrateToEvm(account.address);
+        this.evmAddress = mapping.evmAddress;
 
         console.log('📱 Wallet connected:');
+        console.log('   Wallet:', this.adapter.name);
         console.log('   Account:', account.meta.name || 'Unnamed');
+        console.log('   Key type:', mapping.type);
         console.log('   Substrate:', account.address);
         console.log('   EVM:', this.evmAddress);
 
@@ -142,30 +329,173 @@ class WalletManager {
     }
 
     /**
-     * Convert Substrate address to EVM address for Moonbeam
-     * Takes the first 20 bytes of the decoded public key
+     * Make an adapter the active wallet and follow its events
+     */
+    useAdapter(adapter, accounts) {
+        if (this.adapter !== adapter) {
+            this.releaseAdapter();
+            adapter.on('accountsChanged', this.handleAccountsChanged);
+            adapter.on('chainChanged', this.handleChainChanged);
+            adapter.on('disconnect', this.handleWalletDisconnect);
+            this.adapter = adapter;
+        }
+        this.accounts = accounts;
+    }
+
+    releaseAdapter() {
+        if (!this.adapter) return;
+        this.adapter.off('accountsChanged', this.handleAccountsChanged);
+        this.adapter.off('chainChanged', this.handleChainChanged);
+        this.adapter.off('disconnect', this.handleWalletDisconnect);
+        this.adapter.disconnect();
+        this.adapter = null;
+    }
+
+    /**
+     * The wallet's accounts changed (added, removed, or another account made active)
      */
-    substrateToEvm(substrateAddress) {
+    async handleAccountsChanged(accounts) {
+        this.accounts = accounts;
+        if (!this.selectedAccount) return;
+
+        // EVM wallets list their active account first; Polkadot extensions keep ours unless it was removed
+        const current = this.adapter.kind === 'evm'
+            ? accounts[0]
+            : accounts.find(account => account.address === this.selectedAccount.address);
+
         try {
-            const publicKey = decodeAddress(substrateAddress);
-            const evmBytes = publicKey.slice(0, 20);
-            return u8aToHex(evmBytes);
+            if (!current) {
+                console.warn('⚠ Selected account is no longer available in the wallet');
+                this.disconnect();
+            } else if (current.address !== this.selectedAccount.address) {
+                await this.selectAccount(current.address);
+            } else {
+                this.renderWalletStatus();
+            }
         } catch (error) {
-            console.error('Address conversion failed:', error);
-            return null;
+            console.error('Failed to follow wallet account change:', error);
+            this.emit('error', { action: 'accountsChanged', error });
+        }
+    }
+
+    /**
+     * The EVM wallet moved to another chain: follow it if the registry has a
+     * deployment there, otherwise transactions ask to switch back (ensureEthereumChain)
+     */
+    async handleChainChanged(chainId) {
+        if (chainId === this.network.chainId) return;
+
+        const config = getNetworkConfig();
+        const network = config.listNetworks().find(n => n.chainId === chainId && config.isNetworkAvailable(n));
+        if (!network) {
+            console.warn(`⚠ Wallet switched to chain ${chainId}; transactions will ask to switch back to ${this.network.name}`);
+            return;
+        }
+
+        try {
+            await this.switchNetwork(network.id);
+        } catch (error) {
+            console.error('Failed to follow wallet network change:', error);
+        }
+    }
+
+    handleWalletDisconnect() {
+        console.warn('⚠ Wallet disconnected');
+        this.disconnect();
+    }
+
+    /**
+     * The adapter of the connected wallet (see wallet-adapters.js)
+     */
+    getAdapter() {
+        return this.adapter;
+    }
+
+    /**
+     * All injected accounts, grouped by extension
+     * @returns {Array<{ source, name, accounts: Array<{ account, address, name, type, evmAddress, canControlEvm, warning }> }>}
+     */
+    getAccountGroups() {
+        return groupAccountsBySource(this.accounts, account => this.mapAccount(account));
+    }
+
+    /**
+     * Open the account picker and switch to the chosen account
+     * @returns {Promise<boolean>} Whether the account changed
+     */
+    async switchAccount() {
+        // Pick up accounts added or removed in the wallet since connecting
+        this.accounts = await this.adapter.accounts();
+        await cryptoWaitReady();
+
+        const account = await showAccountPicker(this.accounts, {
+            mapAccount: a => this.mapAccount(a),
+            selected: this.selectedAccount?.address
+        });
+        if (!account) {
+            return false;
+        }
+        return this.selectAccount(account.address);
+    }
+
+    /**
+     * Switch to another injected account without disconnecting
+     * @param {string} address - Substrate address of the account
+     * @returns {Promise<boolean>} Whether the account changed
+     */
+    async selectAccount(address) {
+        const account = this.accounts.find(a => a.address === address);
+        if (!account) {
+            throw new Error(`Account ${address} is not available in ${this.adapter?.name || 'the wallet'}`);
+        }
+        if (account.address === this.selectedAccount?.address) {
+            return false;
+        }
+
+        const previousEvmAddress = this.evmAddress;
+        await this.setupProvider(account);
+        saveSelectedAddress(account.address);
+        console.log('🔄 Switched account:', previousEvmAddress, '→', this.evmAddress);
+
+        // Drop the previous account's cached balances; pages reload theirs on 'accountChanged'
+        if (previousEvmAddress && typeof window !== 'undefined' && window.ContentLoader) {
+            await window.ContentLoader.clearDeckCache(previousEvmAddress);
+        }
+        this.emit('accountChanged', { account, evmAddress: this.evmAddress, previousEvmAddress });
+        return true;
+    }
+
+    /**
+     * EVM address Moonbeam uses for an injected account, by key type
+     * @returns {{ type, evmAddress, canControlEvm, warning }} evmAddress is null when the account cannot control EVM assets
+     */
+    mapAccount(account) {
+        try {
+            return mapAccountToEvm(account);
+        } catch (error) {
+            console.error('Address mapping failed:', error);
+            return { type: account.type, evmAddress: null, canControlEvm: false, warning: error.message };
         }
     }
 
     disconnect() {
+        const evmAddress = this.evmAddress;
+        this.releaseAdapter();
+        this.accounts = [];
         this.selectedAccount = null;
         this.injector = null;
         this.evmAddress = null;
         localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(WALLET_KEY);
+        clearSessions();
         // Clear deck cache to prevent crossover between wallets
         if (typeof window !== 'undefined' && window.ContentLoader) {
             window.ContentLoader.clearDeckCache();
         }
         this.renderWalletStatus();
+        if (evmAddress) {
+            this.emit('disconnected', { evmAddress });
+        }
     }
 
     renderWalletStatus() {
@@ -178,9 +508,16 @@ class WalletManager {
 
             statusDiv.innerHTML = `
                 <div class="flex items-center gap-3">
-                    <div class="text-sm font-mono text-accent">
-                        ${displayName} (${shortAddr})
+                    <div class="text-sm font-mono text-accent" title="${escapeHtml(this.adapter?.name || '')}">
+                        ${escapeHtml(displayName)} (${shortAddr})
                     </div>
+                    ${this.accounts.length > 1 ? `
+                    <button
+                        onclick="walletManager.switchAccount()"
+                        class="text-xs text-muted hover:text-accent transition-colors"
+                    >
+                        Switch
+                    </button>` : ''}
                     <button
                         onclick="walletManager.disconnect()"
                         class="text-xs text-muted hover:text-accent transition-colors"
@@ -207,7 +544,8 @@ class WalletManager {
 
     /**
      * Get Web3 provider for ethers.js compatibility
-     * Uses Moonbeam's JSON-RPC endpoint
+     * Uses the network's JSON-RPC endpoints, moving to the next one when one is unreachable;
+     * eth_calls made together are merged into a Multicall3 call (or a JSON-RPC batch)
      */
     async getWeb3Provider() {
         // For ethers.js, we'll use JsonRpcProvider with Moonbeam RPC
@@ -218,57 +556,81 @@ class WalletManager {
         }
 
         if (!this.provider) {
-            this.provider = new ethers.providers.JsonRpcProvider(MOONBASE_ALPHA_RPC);
+            this.provider = createBatchingProvider(this.network.rpcUrls);
         }
 
         return this.provider;
     }
 
     /**
-     * Get a signer for EVM transactions
-     * Checks for Ethereum provider injection from Polkadot wallets (Talisman, SubWallet)
+     * Get a signer for EVM transactions from the connected wallet's adapter
+     * Polkadot accounts sign through the extension (ethereum.transact extrinsics);
+     * EVM wallets sign and send transactions themselves
      */
     async getSigner() {
-        console.log('🔄 getSigner called, isConnected:', this.isConnected());
-
         if (!this.isConnected()) {
             throw new Error('Wallet not connected');
         }
+        return this.adapter.getSigner(this);
+    }
 
-        // Check if wallet injected an Ethereum provider (Talisman, SubWallet do this)
-        if (window.ethereum) {
-            console.log('✓ window.ethereum detected, attempting to use Web3Provider');
-            const { ethers } = window;
+    /**
+     * Sign a message with the connected account
+     * @param {string|Uint8Array} message
+     * @returns {Promise<string>} Signature hex
+     */
+    async signMessage(message) {
+        if (!this.isConnected()) {
+            throw new Error('Wallet not connected');
+        }
+        return this.adapter.signMessage(this, message);
+    }
 
-            try {
-                // First check if we can get accounts from the ethereum provider
-                const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-                console.log('📝 Accounts from window.ethereum:', accounts);
-
-                if (accounts && accounts.length > 0) {
-                    const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
-                    console.log('✓ Web3Provider created, getting signer...');
-                    const signer = await web3Provider.getSigner(accounts[0]);
-                    console.log('✓ Signer obtained from window.ethereum for:', accounts[0]);
-                    return signer;
-                } else {
-                    console.log('⚠ No accounts available from window.ethereum, using custom signer');
-                }
-            } catch (error) {
-                console.warn('⚠ Failed to get signer from window.ethereum:', error.message);
-            }
+    /**
+     * Sign in to a content service with the connected account (see sign-in.js)
+     * @param {object} options
+     * @param {Array<number>} options.contentIds - Decks the session should unlock
+     * @param {string} options.verifierUrl - Defaults to the network's verifierUrl in config.js
+     * @returns {Promise<object>} Session: { token, evmAddress, contentIds, expiresAt, ... }
+     */
+    async signIn(options = {}) {
+        if (!this.isConnected()) {
+            throw new Error('Wallet not connected');
+        }
+        const verifierUrl = options.verifierUrl || this.network.verifierUrl;
+        if (!verifierUrl) {
+            throw new Error(`No sign-in verifier is configured for ${this.network.name}`);
         }
+        return signIn(this, { ...options, verifierUrl });
+    }
 
-        // Fallback: use custom signer (limited functionality)
-        console.log('⚠ Using custom PolkadotEVMSigner');
-        const provider = await this.getWeb3Provider();
-        return createPolkadotEVMSigner(this, provider);
+    /**
+     * Session from an earlier signIn(), if still valid for this account and network
+     */
+    getSignInSession(contentIds = [], verifierUrl = this.network.verifierUrl) {
+        if (!this.isConnected() || !verifierUrl) return null;
+        return getSession(this, verifierUrl, contentIds);
     }
 
     /**
-     * Get contract instance with ABI
+     * Factory version deployed on the active network, detected once per session
+     * @returns {Promise<string>} e.g. '2.1'
      */
-    async getContract(abi) {
+    async getFactoryVersion() {
+        if (!this.factoryVersion) {
+            const { ethers } = window;
+            const provider = await this.getWeb3Provider();
+            const probe = new ethers.Contract(this.getContractAddress(), getFactoryAbi(), provider);
+            this.factoryVersion = await detectFactoryVersion(probe) || DEFAULT_FACTORY_VERSION;
+        }
+        return this.factoryVersion;
+    }
+
+    /**
+     * Get contract instance
+     * @param {Array} abi - Custom ABI; defaults to the factory ABI for the deployed version
+     */
+    async getContract(abi = null) {
         if (!this.isConnected()) {
             return null;
         }
@@ -278,209 +640,168 @@ class WalletManager {
             throw new Error('ethers.js not loaded');
         }
 
+        if (!abi) {
+            abi = getFactoryAbi(await this.getFactoryVersion());
+        }
+        this.contractInterfaces.set(this.getContractAddress().toLowerCase(), new ethers.utils.Interface(abi));
+
         // Try to get a signer for write operations
         try {
             const signer = await this.getSigner();
             console.log('✓ Contract created with signer (read/write)');
-            return new ethers.Contract(CONTRACT_ADDRESS, abi, signer);
+            return new ethers.Contract(this.getContractAddress(), abi, signer);
         } catch (error) {
             // Fallback to provider for read-only
             console.warn('⚠ Could not get signer, contract will be read-only:', error.message);
             const provider = await this.getWeb3Provider();
             console.log('✓ Contract created with provider (read-only)');
-            return new ethers.Contract(CONTRACT_ADDRESS, abi, provider);
+            return new ethers.Contract(this.getContractAddress(), abi, provider);
         }
     }
 
-    getEvmAddress() {
-        return this.evmAddress;
+    /**
+     * ABI interface of the contract at an address, for decoding its custom errors
+     * Contracts from getContract() are known; the factory otherwise uses its shared definition
+     * @returns {object|null} ethers Interface, or null for unknown contracts
+     */
+    getContractInterface(address) {
+        if (!address) return null;
+        const key = address.toLowerCase();
+        if (!this.contractInterfaces.has(key)) {
+            if (key !== this.network.factoryAddress?.toLowerCase()) return null;
+            const abi = getFactoryAbi(this.factoryVersion || DEFAULT_FACTORY_VERSION);
+            this.contractInterfaces.set(key, new window.ethers.utils.Interface(abi));
+        }
+        return this.contractInterfaces.get(key);
     }
 
-    getSubstrateAddress() {
-        return this.selectedAccount?.address;
-    }
+    /**
+     * Estimate gas and fees for a contract call before signing
+     * @param {object} contract - ethers contract from getContract()
+     * @param {string} method - Contract method name
+     * @param {Array} args - Method arguments
+     * @param {object} overrides - Transaction overrides (value, and gas fields to keep as-is)
+     * @returns {Promise<object>} Gas quote (see gas.js), amounts as BigInt
+     */
+    async estimateContractCall(contract, method, args = [], overrides = {}) {
+        const { rest } = splitGasOverrides(overrides);
+        const tx = await contract.populateTransaction[method](...args, rest);
+        tx.from = await contract.signer.getAddress();
 
-    getAccount() {
-        return this.selectedAccount;
+        // Estimation simulates the call, so reverts surface here as typed errors
+        const provider = contract.provider || await this.getWeb3Provider();
+        try {
+            return await quoteWithProvider(provider, tx, overrides);
+        } catch (error) {
+            throw this.decodeError(error, contract, method);
+        }
     }
 
-    getApi() {
-        return this.api;
+    /**
+     * Convert an error from an ethers contract call into a ContractError
+     * Custom errors are decoded with the contract's ABI
+     * @returns {ContractError} error.code is stable, e.g. ALREADY_CLAIMED or SOLD_OUT
+     */
+    decodeError(error, contract = null, method = null) {
+        return toContractError(error, data => decodeRevertWithInterface(contract?.interface, data), method);
     }
-}
 
-/**
- * Custom Signer that bridges Polkadot extension with ethers.js
- * Factory function to avoid issues with window.ethers not being loaded yet
- */
-function createPolkadotEVMSigner(walletManager, provider) {
-    const { ethers } = window;
-    if (!ethers) {
-        throw new Error('ethers.js not loaded');
+    /**
+     * Be told about every transaction the signer submits
+     * @param {function} handler - (tracker) => void; use tracker.on('inBlock' | 'executed' | ..., fn)
+     * @returns {function} Unsubscribe function
+     */
+    onTransaction(handler) {
+        this.transactionHandlers.push(handler);
+        return () => {
+            this.transactionHandlers = this.transactionHandlers.filter(h => h !== handler);
+        };
     }
 
-    class PolkadotEVMSigner extends ethers.Signer {
-        constructor() {
-            super();
-            this.walletManager = walletManager;
-            this._provider = provider;
-        }
-
-        // Ethers.js needs this getter to access the provider for read operations
-        get provider() {
-            return this._provider;
-        }
-
-        async getAddress() {
-            return this.walletManager.getEvmAddress();
-        }
-
-    async signMessage(message) {
-        // Sign message using Polkadot extension
-        const { u8aToHex, stringToU8a } = await import('@polkadot/util');
-        const messageU8a = typeof message === 'string' ? stringToU8a(message) : message;
-
-        const signature = await this.walletManager.injector.signer.signRaw({
-            address: this.walletManager.getSubstrateAddress(),
-            data: u8aToHex(messageU8a),
-            type: 'bytes'
+    notifyTransaction(tracker) {
+        this.transactionHandlers.forEach(handler => {
+            try {
+                handler(tracker);
+            } catch (error) {
+                console.error('Transaction handler failed:', error);
+            }
         });
+    }
 
-        return signature.signature;
+    /**
+     * Transactions from the connected account accepted by the node but not yet executed
+     * @returns {Array<object>} { nonce, extrinsicHash, to, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas, tracker, submittedAt }
+     */
+    getPendingTransactions() {
+        return this.evmAddress ? this.nonceManager.getPending(this.evmAddress) : [];
     }
 
-    async signTransaction(transaction) {
-        // Use Polkadot extension to sign and submit EVM transaction via Moonbeam's ethereum pallet
-        const api = this.walletManager.getApi();
-        if (!api) {
-            throw new Error('Not connected to Moonbeam');
-        }
+    /**
+     * Resend a stuck transaction with the same nonce and higher fees
+     * @param {number} nonce - Nonce of the pending transaction
+     * @returns {Promise<object>} The replacement transaction
+     */
+    async speedUpTransaction(nonce) {
+        return this.replaceTransaction(nonce, { cancel: false });
+    }
 
-        try {
-            console.log('🔄 Signing transaction via Polkadot extension:', transaction);
+    /**
+     * Cancel a stuck transaction by sending 0 DEV to yourself with its nonce and higher fees
+     * @param {number} nonce - Nonce of the pending transaction
+     * @returns {Promise<object>} The cancelling transaction
+     */
+    async cancelTransaction(nonce) {
+        return this.replaceTransaction(nonce, { cancel: true });
+    }
 
-            // Manually populate transaction fields using provider methods
-            const populatedTx = { ...transaction };
+    async replaceTransaction(nonce, { cancel }) {
+        if (!this.isConnected()) {
+            throw new Error('Wallet not connected');
+        }
+        if (this.adapter.kind !== 'polkadot') {
+            throw new Error(`${this.adapter.name} sends its own transactions; speed up or cancel them in the wallet`);
+        }
 
-            // Get address
-            const from = await this.getAddress();
-            populatedTx.from = from;
+        const replacement = this.nonceManager.replacementFor(this.evmAddress, nonce, { cancel });
+        console.log(`🔄 ${cancel ? 'Cancelling' : 'Speeding up'} transaction with nonce ${nonce}:`, {
+            maxFeePerGas: replacement.maxFeePerGas.toString(),
+            maxPriorityFeePerGas: replacement.maxPriorityFeePerGas.toString()
+        });
 
-            // Get nonce if not provided
-            if (populatedTx.nonce === undefined) {
-                populatedTx.nonce = await this._provider.getTransactionCount(from, 'pending');
-                console.log('📝 Nonce:', populatedTx.nonce);
-            }
+        // Replacements go through the ethereum pallet like the original did
+        const signer = createPolkadotEVMSigner(this, await this.getWeb3Provider());
+        return signer.sendTransaction(replacement);
+    }
 
-            // Get chain ID if not provided
-            if (populatedTx.chainId === undefined) {
-                const network = await this._provider.getNetwork();
-                populatedTx.chainId = network.chainId;
-                console.log('📝 Chain ID:', populatedTx.chainId);
-            }
+    /**
+     * Change the gas safety margin or fee multiplier, e.g. { marginPercent: 30 }
+     */
+    configureGas(settings) {
+        return configureGas(settings);
+    }
 
-            // Get gas limit if not provided (should be provided by our manual setting)
-            if (populatedTx.gasLimit === undefined) {
-                populatedTx.gasLimit = 300000; // Default fallback
-                console.log('⚠ Using default gas limit:', populatedTx.gasLimit);
-            }
+    /**
+     * Change reconnect backoff and health check timing, e.g. { healthInterval: 30000 }
+     */
+    configureConnection(settings) {
+        return configureConnection(settings);
+    }
 
-            // Get fee data if not provided
-            if (populatedTx.maxFeePerGas === undefined || populatedTx.maxPriorityFeePerGas === undefined) {
-                const feeData = await this._provider.getFeeData();
-                populatedTx.maxFeePerGas = populatedTx.maxFeePerGas || feeData.maxFeePerGas;
-                populatedTx.maxPriorityFeePerGas = populatedTx.maxPriorityFeePerGas || feeData.maxPriorityFeePerGas;
-                console.log('📝 Fee data:', {
-                    maxFeePerGas: populatedTx.maxFeePerGas?.toString(),
-                    maxPriorityFeePerGas: populatedTx.maxPriorityFeePerGas?.toString()
-                });
-            }
+    getEvmAddress() {
+        return this.evmAddress;
+    }
 
-            // Get transaction parameters
-            const to = populatedTx.to || null;
-            const value = populatedTx.value ? populatedTx.value.toHexString() : '0x0';
-            const gasLimit = typeof populatedTx.gasLimit === 'number'
-                ? populatedTx.gasLimit
-                : populatedTx.gasLimit.toNumber();
-            const data = populatedTx.data || '0x';
-
-            console.log('📝 Transaction params:', { to, value, gasLimit, data: data.slice(0, 20) + '...' });
-
-            // Build ethereum.transact extrinsic for EVM transaction
-            // Moonbase Alpha now requires EIP-1559 format (not V2)
-            const evmTx = api.tx.ethereum.transact({
-                eip1559: {
-                    chainId: populatedTx.chainId,
-                    nonce: populatedTx.nonce,
-                    maxPriorityFeePerGas: populatedTx.maxPriorityFeePerGas.toHexString(),
-                    maxFeePerGas: populatedTx.maxFeePerGas.toHexString(),
-                    gasLimit: gasLimit,
-                    action: to ? { Call: to } : 'Create',
-                    value: value,
-                    input: data,
-                    accessList: []
-                }
-            });
-
-            console.log('📝 Built EIP-1559 Polkadot extrinsic, submitting...');
-            console.log('📝 Substrate address for signing:', this.walletManager.getSubstrateAddress());
-            console.log('📝 Injector signer:', this.walletManager.injector.signer);
-            console.log('📝 Full account:', this.walletManager.getAccount());
-
-            // Sign and send using Polkadot extension
-            return new Promise((resolve, reject) => {
-                evmTx.signAndSend(
-                    this.walletManager.getSubstrateAddress(),
-                    { signer: this.walletManager.injector.signer },
-                    ({ status, events, dispatchError }) => {
-                        if (dispatchError) {
-                            if (dispatchError.isModule) {
-                                const decoded = api.registry.findMetaError(dispatchError.asModule);
-                                reject(new Error(`${decoded.section}.${decoded.name}: ${decoded.docs}`));
-                            } else {
-                                reject(new Error(dispatchError.toString()));
-                            }
-                        } else if (status.isInBlock || status.isFinalized) {
-                            console.log('✅ Transaction in block:', status.asInBlock?.toHex() || status.asFinalized?.toHex());
-
-                            // Find the ethereum execution event to get tx hash
-                            const executedEvent = events.find(({ event }) =>
-                                event.section === 'ethereum' && event.method === 'Executed'
-                            );
-
-                            if (executedEvent) {
-                                const [from, to, txHash] = executedEvent.event.data;
-                                console.log('✅ EVM transaction hash:', txHash.toHex());
-                                resolve({
-                                    hash: txHash.toHex(),
-                                    wait: () => Promise.resolve({ status: 1 })
-                                });
-                            } else {
-                                // Fallback - return block hash as tx hash
-                                const blockHash = status.asInBlock?.toHex() || status.asFinalized?.toHex();
-                                console.log('⚠ No Executed event, using block hash:', blockHash);
-                                resolve({
-                                    hash: blockHash,
-                                    wait: () => Promise.resolve({ status: 1 })
-                                });
-                            }
-                        }
-                    }
-                ).catch(reject);
-            });
-        } catch (error) {
-            console.error('❌ Transaction signing failed:', error);
-            throw new Error(`Failed to sign transaction: ${error.message}`);
-        }
+    getSubstrateAddress() {
+        return this.selectedAccount?.address;
     }
 
-        connect(provider) {
-            return createPolkadotEVMSigner(this.walletManager, provider);
-        }
+    getAccount() {
+        return this.selectedAccount;
     }
 
-    return new PolkadotEVMSigner();
+    getApi() {
+        return this.api;
+    }
 }
 
 export default WalletManager;
-export { CONTRACT_ADDRESS, MOONBASE_ALPHA_RPC, MOONBASE_ALPHA_WS };
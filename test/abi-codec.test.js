@@ -0,0 +1,192 @@
+/**
+ * EvmContract's ABI codec against the Solidity ABI spec examples, and against
+ * ethers' coder so both contract paths return the same shapes
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { u8aToHex } from '@polkadot/util';
+import EvmContract from '../src/evm-contract.js';
+
+const { ethers } = createRequire(import.meta.url)('ethers');
+const coder = ethers.utils.defaultAbiCoder;
+const utf8 = value => ethers.utils.hexlify(ethers.utils.toUtf8Bytes(value));
+
+// Decoded integers are ethers BigNumbers when ethers is loaded, as on the pages
+globalThis.window = { ethers };
+
+const contract = new EvmContract(null, '0x0000000000000000000000000000000000000000', [], null);
+
+// Encodings from https://docs.soliditylang.org/en/latest/abi-spec.html#examples
+const SPEC_VECTORS = [
+    {
+        description: 'static and dynamic arguments: f(uint256,uint32[],bytes10,bytes)',
+        types: ['uint256', 'uint32[]', 'bytes10', 'bytes'],
+        values: [0x123, [0x456, 0x789], utf8('1234567890'), utf8('Hello, world!')],
+        encoded: [
+            '0000000000000000000000000000000000000000000000000000000000000123',
+            '0000000000000000000000000000000000000000000000000000000000000080',
+            '3132333435363738393000000000000000000000000000000000000000000000',
+            '00000000000000000000000000000000000000000000000000000000000000e0',
+            '0000000000000000000000000000000000000000000000000000000000000002',
+            '0000000000000000000000000000000000000000000000000000000000000456',
+            '0000000000000000000000000000000000000000000000000000000000000789',
+            '000000000000000000000000000000000000000000000000000000000000000d',
+            '48656c6c6f2c20776f726c642100000000000000000000000000000000000000'
+        ]
+    },
+    {
+        description: 'nested dynamic arrays and strings: g(uint256[][],string[])',
+        types: ['uint256[][]', 'string[]'],
+        values: [[[1, 2], [3]], ['one', 'two', 'three']],
+        encoded: [
+            '0000000000000000000000000000000000000000000000000000000000000040',
+            '0000000000000000000000000000000000000000000000000000000000000140',
+            '0000000000000000000000000000000000000000000000000000000000000002',
+            '0000000000000000000000000000000000000000000000000000000000000040',
+            '00000000000000000000000000000000000000000000000000000000000000a0',
+            '0000000000000000000000000000000000000000000000000000000000000002',
+            '0000000000000000000000000000000000000000000000000000000000000001',
+            '0000000000000000000000000000000000000000000000000000000000000002',
+            '0000000000000000000000000000000000000000000000000000000000000001',
+            '0000000000000000000000000000000000000000000000000000000000000003',
+            '0000000000000000000000000000000000000000000000000000000000000003',
+            '0000000000000000000000000000000000000000000000000000000000000060',
+            '00000000000000000000000000000000000000000000000000000000000000a0',
+            '00000000000000000000000000000000000000000000000000000000000000e0',
+            '0000000000000000000000000000000000000000000000000000000000000003',
+            '6f6e650000000000000000000000000000000000000000000000000000000000',
+            '0000000000000000000000000000000000000000000000000000000000000003',
+            '74776f0000000000000000000000000000000000000000000000000000000000',
+            '0000000000000000000000000000000000000000000000000000000000000005',
+            '7468726565000000000000000000000000000000000000000000000000000000'
+        ]
+    },
+    {
+        description: 'dynamic bytes and array: sam(bytes,bool,uint256[])',
+        types: ['bytes', 'bool', 'uint256[]'],
+        values: [utf8('dave'), true, [1, 2, 3]],
+        encoded: [
+            '0000000000000000000000000000000000000000000000000000000000000060',
+            '0000000000000000000000000000000000000000000000000000000000000001',
+            '00000000000000000000000000000000000000000000000000000000000000a0',
+            '0000000000000000000000000000000000000000000000000000000000000004',
+            '6461766500000000000000000000000000000000000000000000000000000000',
+            '0000000000000000000000000000000000000000000000000000000000000003',
+            '0000000000000000000000000000000000000000000000000000000000000001',
+            '0000000000000000000000000000000000000000000000000000000000000002',
+            '0000000000000000000000000000000000000000000000000000000000000003'
+        ]
+    },
+    {
+        description: 'fixed array of bytesN: bar(bytes3[2])',
+        types: ['bytes3[2]'],
+        values: [[utf8('abc'), utf8('def')]],
+        encoded: [
+            '6162630000000000000000000000000000000000000000000000000000000000',
+            '6465660000000000000000000000000000000000000000000000000000000000'
+        ]
+    },
+    {
+        description: 'negative intN is sign-extended to 256 bits',
+        types: ['int8', 'int24', 'int256'],
+        values: [-1, -8388608, -12345],
+        encoded: [
+            'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff',
+            'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffff800000',
+            'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffcfc7'
+        ]
+    }
+];
+
+// Checked against ethers' coder
+const ETHERS_VECTORS = [
+    {
+        description: 'address, bool and small and large integers',
+        types: ['address', 'bool', 'uint8', 'uint48', 'uint64', 'uint256'],
+        values: ['0xf24FF3a9CF04c71Dbc94D0b566f7A27B94566cac', false, 255, 2 ** 48 - 1, '18446744073709551615', ethers.constants.MaxUint256.toString()]
+    },
+    {
+        description: 'intN bounds',
+        types: ['int16', 'int64', 'int128'],
+        values: [-32768, '-9223372036854775808', '170141183460469231731687303715884105727']
+    },
+    {
+        description: 'fixed arrays of static and dynamic types',
+        types: ['uint256[2][3]', 'string[2]', 'bytes[]'],
+        values: [[[1, 2], [3, 4], [5, 6]], ['', 'ünïcødé'], ['0x', '0x01', utf8('x'.repeat(70))]]
+    },
+    {
+        description: 'bytes1 and bytes32',
+        types: ['bytes1', 'bytes32'],
+        values: ['0xff', ethers.utils.keccak256('0x1234')]
+    },
+    {
+        description: 'nested tuples with dynamic members',
+        types: ['tuple(uint256 id, tuple(string name, bytes2[] tags) meta, address[2] owners)', 'tuple(bool ok, int32 delta)[]'],
+        values: [
+            [7, ['Thoth', ['0xaabb', '0xccdd']], ['0x3Cd0A705a2DC65e5b1E1205896BaA2be8A07c6e0', '0xf24FF3a9CF04c71Dbc94D0b566f7A27B94566cac']],
+            [[true, -5], [false, 2147483647]]
+        ]
+    }
+];
+
+/**
+ * Plain data for deepEqual: BigNumbers as decimal strings, Results as arrays plus their named keys
+ */
+function normalize(value) {
+    if (ethers.BigNumber.isBigNumber(value) || typeof value === 'bigint') {
+        return `big:${value.toString()}`;
+    }
+    if (Array.isArray(value)) {
+        const items = value.map(normalize);
+        const named = Object.keys(value).filter(key => !/^\d+$/.test(key));
+        return named.length > 0
+            ? { items, named: Object.fromEntries(named.sort().map(key => [key, normalize(value[key])])) }
+            : items;
+    }
+    return value;
+}
+
+const decodeAll = (types, data) => {
+    const decoded = contract.decodeReturnData(types, data);
+    return types.length === 1 ? [decoded] : decoded;
+};
+
+test('encodes the Solidity ABI spec examples', () => {
+    for (const { description, types, values, encoded } of SPEC_VECTORS) {
+        const expected = '0x' + encoded.join('');
+        assert.equal(u8aToHex(contract.encodeParams(types, values)), expected, description);
+        assert.equal(coder.encode(types, values), expected, `ethers: ${description}`);
+    }
+});
+
+test('encodes like ethers', () => {
+    for (const { description, types, values } of ETHERS_VECTORS) {
+        assert.equal(u8aToHex(contract.encodeParams(types, values)), coder.encode(types, values), description);
+    }
+});
+
+test('decodes to the same shapes as ethers', () => {
+    for (const { description, types, values } of [...SPEC_VECTORS, ...ETHERS_VECTORS]) {
+        const data = coder.encode(types, values);
+        assert.deepEqual(normalize(decodeAll(types, data)), normalize(coder.decode(types, data)), description);
+    }
+});
+
+test('round-trips its own encoding', () => {
+    for (const { description, types, values } of [...SPEC_VECTORS, ...ETHERS_VECTORS]) {
+        const data = u8aToHex(contract.encodeParams(types, values));
+        assert.equal(u8aToHex(contract.encodeParams(types, decodeAll(types, data))), data, description);
+    }
+});
+
+test('rejects out-of-range and malformed values', () => {
+    assert.throws(() => contract.encodeParams(['uint8'], [256]), /out of range/);
+    assert.throws(() => contract.encodeParams(['int8'], [-129]), /out of range/);
+    assert.throws(() => contract.encodeParams(['bytes2'], ['0x01']), /Expected 2 bytes/);
+    assert.throws(() => contract.encodeParams(['uint256[2]'], [[1]]), /Expected 2 elements/);
+    assert.throws(() => contract.decodeReturnData(['string'], '0x' + '00'.repeat(31) + '20'), /out of bounds/);
+});
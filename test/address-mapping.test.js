@@ -0,0 +1,80 @@
+/**
+ * Account → EVM address mapping against known accounts
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cryptoWaitReady } from '@polkadot/util-crypto';
+import { mapAccountToEvm } from '../src/address-mapping.js';
+
+// Known accounts and the H160 Moonbeam uses for them
+// Alith and Baltathar are Moonbeam's documented development accounts;
+// an ecdsa account's SS58 address is blake2_256 of its compressed public key
+const ADDRESS_VECTORS = [
+    {
+        description: 'ethereum account (Alith) passes through, checksummed',
+        account: { type: 'ethereum', address: '0xf24ff3a9cf04c71dbc94d0b566f7a27b94566cac' },
+        evmAddress: '0xf24FF3a9CF04c71Dbc94D0b566f7A27B94566cac'
+    },
+    {
+        description: 'ethereum account without a type (Baltathar)',
+        account: { address: '0x3Cd0A705a2DC65e5b1E1205896BaA2be8A07c6e0' },
+        evmAddress: '0x3Cd0A705a2DC65e5b1E1205896BaA2be8A07c6e0'
+    },
+    {
+        description: 'ecdsa account with its compressed public key (Alith)',
+        account: {
+            type: 'ecdsa',
+            publicKey: '0x02509540919faacf9ab52146c9aa40db68172d83777250b28e4679176e49ccdd9f',
+            address: '5HSVzaktLBoAFZ89RQHEWrJizmSuXrbpGm7favc99p5qt6UM'
+        },
+        evmAddress: '0xf24FF3a9CF04c71Dbc94D0b566f7A27B94566cac'
+    },
+    {
+        description: 'ecdsa account with its compressed public key (Baltathar)',
+        account: {
+            type: 'ecdsa',
+            publicKey: '0x033bc19e36ff1673910575b6727a974a9abd80c9a875d41ab3e2648dbfb9e4b518',
+            address: '5CUjxBT1Lz3JSinR6cLkEMMDL225F3W93LautH2tLE3Wp6GF'
+        },
+        evmAddress: '0x3Cd0A705a2DC65e5b1E1205896BaA2be8A07c6e0'
+    },
+    {
+        description: 'ecdsa account as extensions list it, without its public key, cannot be mapped',
+        account: {
+            type: 'ecdsa',
+            address: '5HSVzaktLBoAFZ89RQHEWrJizmSuXrbpGm7favc99p5qt6UM'
+        },
+        evmAddress: null
+    },
+    {
+        description: 'ecdsa account with another account\'s public key is refused',
+        account: {
+            type: 'ecdsa',
+            publicKey: '0x033bc19e36ff1673910575b6727a974a9abd80c9a875d41ab3e2648dbfb9e4b518',
+            address: '5HSVzaktLBoAFZ89RQHEWrJizmSuXrbpGm7favc99p5qt6UM'
+        },
+        evmAddress: null
+    },
+    {
+        description: 'sr25519 account (Alice) has no EVM address',
+        account: { type: 'sr25519', address: '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY' },
+        evmAddress: null
+    },
+    {
+        description: 'ed25519 account has no EVM address',
+        account: { type: 'ed25519', address: '5FA9nQDVg267DEd8m1ZypXLBnvN7SFxYwV7ndqSYGiN9TTpu' },
+        evmAddress: null
+    }
+];
+
+test('maps known accounts to their Moonbeam addresses', async () => {
+    await cryptoWaitReady();
+    for (const { description, account, evmAddress } of ADDRESS_VECTORS) {
+        const mapping = mapAccountToEvm(account);
+        assert.equal(mapping.evmAddress, evmAddress, description);
+        assert.equal(mapping.canControlEvm, evmAddress !== null, description);
+        assert.equal(mapping.warning === null, evmAddress !== null, description);
+    }
+});
@@ -0,0 +1,25 @@
+/**
+ * Constants found in runtime bytecode (src/bytecode.js), used to tell which
+ * ABI entries a deployed factory implements
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pushedConstants, pushesConstant } from '../src/bytecode.js';
+
+test('finds selectors the dispatcher pushes, with leading zero bytes dropped', () => {
+    // PUSH4 0x843e2756, EQ, PUSH3 0xfdd58e (balanceOf, 0x00fdd58e), EQ, PUSH1 0x00
+    const constants = pushedConstants('0x63843E27561462FDD58E146000');
+
+    assert.ok(pushesConstant(constants, '0x843e2756'));
+    assert.ok(pushesConstant(constants, '0x00fdd58e'));
+    assert.ok(!pushesConstant(constants, '0x4e1273f4'));
+});
+
+test('ignores selectors that only appear inside other data', () => {
+    // PUSH6 whose data holds PUSH4 0x843e2756
+    assert.ok(!pushesConstant(pushedConstants('0x6563843e275600'), '0x843e2756'));
+    // The same hex at an odd offset, across byte boundaries
+    assert.ok(!pushesConstant(pushedConstants('0x063843e27560'), '0x843e2756'));
+});
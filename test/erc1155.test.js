@@ -0,0 +1,42 @@
+/**
+ * ERC-1155 helpers (src/erc1155.js): {id} substitution in token URIs
+ * and the checks made on a transfer recipient
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cryptoWaitReady } from '@polkadot/util-crypto';
+import { resolveTokenURI, toTokenIdHex, validateRecipient } from '../src/erc1155.js';
+
+const ALITH = '0xf24FF3a9CF04c71Dbc94D0b566f7A27B94566cac';
+const BALTATHAR = '0x3Cd0A705a2DC65e5b1E1205896BaA2be8A07c6e0';
+
+await cryptoWaitReady();
+
+test('substitutes {id} with the 64-character lowercase hex token ID', () => {
+    // EIP-1155's metadata example: id 314592 is 0x4cce0
+    assert.equal(
+        resolveTokenURI('https://token-cdn-domain/{id}.json', 314592),
+        'https://token-cdn-domain/000000000000000000000000000000000000000000000000000000000004cce0.json'
+    );
+    assert.equal(resolveTokenURI('ipfs://Qm/{id}/{id}', '255'), `ipfs://Qm/${'0'.repeat(62)}ff/${'0'.repeat(62)}ff`);
+    assert.equal(resolveTokenURI('ar://manifest.json', 1), 'ar://manifest.json');
+
+    assert.equal(toTokenIdHex(2n ** 256n - 1n), 'f'.repeat(64));
+    assert.equal(toTokenIdHex({ toString: () => '3054' }), '0'.repeat(61) + 'bee');
+});
+
+test('accepts a recipient and returns it checksummed', () => {
+    assert.equal(validateRecipient(ALITH.toLowerCase()), ALITH);
+    assert.equal(validateRecipient(` ${BALTATHAR} `, ALITH), BALTATHAR);
+});
+
+test('refuses the zero address, the sender and malformed recipients', () => {
+    assert.throws(() => validateRecipient('0x0000000000000000000000000000000000000000'), /zero address/);
+    assert.throws(() => validateRecipient(ALITH.toLowerCase(), ALITH), /sending account/);
+    assert.throws(() => validateRecipient('5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY'), /not a Substrate address/);
+    assert.throws(() => validateRecipient('0xF24FF3a9CF04c71Dbc94D0b566f7A27B94566cac'), /checksum/);
+    assert.throws(() => validateRecipient('0xf24ff3a9cf04c71dbc94d0b566f7a27b94566c'), /checksum/);
+    assert.throws(() => validateRecipient(''), /Recipient is required/);
+});
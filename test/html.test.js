@@ -0,0 +1,21 @@
+/**
+ * The shared HTML escape used wherever outside text goes into innerHTML
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml } from '../src/html.js';
+
+test('escapes markup and quotes', () => {
+    assert.equal(
+        escapeHtml(`<img src=x onerror="alert('x')">&`),
+        '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;'
+    );
+});
+
+test('turns missing values into empty text', () => {
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(0), '0');
+});
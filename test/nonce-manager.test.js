@@ -0,0 +1,165 @@
+/**
+ * Local nonces and the per-account submission queue (src/nonce-manager.js):
+ * reserve/release/resync, "nonce too low" retries and replacement fees
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { NonceManager, NONCE_SETTINGS, bumpFee } from '../src/nonce-manager.js';
+
+const ADDRESS = '0xf24FF3a9CF04c71Dbc94D0b566f7A27B94566cac';
+
+/**
+ * Manager over a fake chain whose pending count the test sets; counts the reads
+ */
+function createManager(count = 5) {
+    const chain = { count, reads: 0 };
+    const manager = new NonceManager(async () => {
+        chain.reads++;
+        return chain.count;
+    });
+    return { manager, chain };
+}
+
+const { log, warn } = console;
+
+test.before(() => {
+    console.log = () => {}; // Nonce syncs and retries are logged
+    console.warn = () => {};
+});
+
+test.after(() => {
+    console.log = log;
+    console.warn = warn;
+});
+
+test('reads the nonce from chain once, then counts up locally', async () => {
+    const { manager, chain } = createManager(5);
+
+    assert.equal(await manager.reserve(ADDRESS), 5);
+    assert.equal(await manager.reserve(ADDRESS.toLowerCase()), 6);
+    assert.equal(await manager.reserve(ADDRESS), 7);
+    assert.equal(chain.reads, 1);
+});
+
+test('reuses only the last nonce released, and resyncs otherwise', async () => {
+    const { manager, chain } = createManager(5);
+    await manager.reserve(ADDRESS);
+    const second = await manager.reserve(ADDRESS);
+
+    manager.release(ADDRESS, second);
+    assert.equal(await manager.reserve(ADDRESS), 6);
+    assert.equal(chain.reads, 1);
+
+    // Releasing an earlier nonce leaves a gap the chain has to settle
+    await manager.reserve(ADDRESS);
+    manager.release(ADDRESS, 5);
+    chain.count = 6;
+    assert.equal(await manager.reserve(ADDRESS), 6);
+    assert.equal(chain.reads, 2);
+});
+
+test('resync reads the nonce from chain again', async () => {
+    const { manager, chain } = createManager(5);
+    await manager.reserve(ADDRESS);
+
+    chain.count = 9;
+    manager.resync(ADDRESS);
+    assert.equal(await manager.reserve(ADDRESS), 9);
+    assert.equal(chain.reads, 2);
+});
+
+test('retries a "nonce too low" submission with a nonce resynced from chain', async () => {
+    const { manager, chain } = createManager(5);
+    const nonces = [];
+
+    const result = await manager.submit(ADDRESS, async (nonce, submitted) => {
+        nonces.push(nonce);
+        if (nonce === 5) {
+            chain.count = 8; // Another client used 5 to 7
+            throw new Error('nonce too low');
+        }
+        submitted({ to: ADDRESS });
+        return 'executed';
+    });
+
+    assert.equal(result, 'executed');
+    assert.deepEqual(nonces, [5, 8]);
+    assert.equal(await manager.reserve(ADDRESS), 9);
+});
+
+test('gives up after the retries and releases the nonce', async () => {
+    const { manager } = createManager(5);
+    let attempts = 0;
+
+    await assert.rejects(manager.submit(ADDRESS, async () => {
+        attempts++;
+        throw new Error('Transaction is outdated');
+    }), /outdated/);
+
+    assert.equal(attempts, NONCE_SETTINGS.maxRetries + 1);
+    assert.equal(await manager.reserve(ADDRESS), 5);
+});
+
+test('starts the next submission once the previous one is accepted', async () => {
+    const { manager } = createManager(5);
+    const events = [];
+    let execute;
+
+    const first = manager.submit(ADDRESS, async (nonce, submitted) => {
+        submitted({ to: ADDRESS });
+        events.push(`accepted ${nonce}`);
+        await new Promise(resolve => {
+            execute = resolve;
+        });
+        events.push(`executed ${nonce}`);
+    });
+    const second = manager.submit(ADDRESS, async nonce => {
+        events.push(`sent ${nonce}`);
+        execute();
+    });
+
+    await Promise.all([first, second]);
+    assert.deepEqual(events, ['accepted 5', 'sent 6', 'executed 5']);
+    assert.deepEqual(manager.getPending(ADDRESS), []);
+});
+
+test('replaces a pending transaction with fees raised by 15%', async () => {
+    const { manager } = createManager(5);
+    let execute;
+
+    const pending = manager.submit(ADDRESS, (nonce, submitted) => {
+        submitted({ to: '0x0000000000000000000000000000000000000001', data: '0x1234', value: 7n, gasLimit: 90000, maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n });
+        return new Promise(resolve => {
+            execute = resolve;
+        });
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(NONCE_SETTINGS.replacementBumpPercent, 15);
+    assert.equal(bumpFee(1000000000n), 1150000001n);
+    assert.deepEqual(manager.replacementFor(ADDRESS, 5), {
+        nonce: 5,
+        maxFeePerGas: 1151n,
+        maxPriorityFeePerGas: 116n,
+        to: '0x0000000000000000000000000000000000000001',
+        data: '0x1234',
+        value: 7n,
+        gasLimit: 90000n
+    });
+    assert.deepEqual(manager.replacementFor(ADDRESS, 5, { cancel: true }), {
+        nonce: 5,
+        maxFeePerGas: 1151n,
+        maxPriorityFeePerGas: 116n,
+        to: ADDRESS,
+        data: '0x',
+        value: 0n,
+        gasLimit: 21000n
+    });
+    assert.throws(() => manager.replacementFor(ADDRESS, 6), /No pending transaction with nonce 6/);
+
+    execute();
+    await pending;
+    assert.throws(() => manager.replacementFor(ADDRESS, 5), /No pending transaction/);
+});
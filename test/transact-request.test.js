@@ -0,0 +1,54 @@
+/**
+ * The ethereum.transact payload built by gas.js, checked against the pallet's
+ * TransactionV2 type so both senders (EvmContract, PolkadotEVMSigner) submit a valid call
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TypeRegistry } from '@polkadot/types';
+import { buildTransactRequest } from '../src/gas.js';
+
+const registry = new TypeRegistry();
+const TO = '0xbff26e227cb5fb0feb0d18250c0a655a6066c865';
+
+test('builds an EIP-1559 TransactionV2', () => {
+    const request = buildTransactRequest({
+        chainId: 1287,
+        nonce: 7,
+        to: TO,
+        value: 10n ** 18n,
+        data: '0x00fdd58e',
+        gasLimit: 210000n,
+        maxFeePerGas: '125000000',
+        maxPriorityFeePerGas: 1000000000
+    });
+    const transaction = registry.createType('TransactionV2', request);
+
+    assert.ok(transaction.isEip1559);
+    const fields = transaction.asEip1559;
+    assert.equal(fields.chainId.toNumber(), 1287);
+    assert.equal(fields.nonce.toNumber(), 7);
+    assert.equal(fields.gasLimit.toBigInt(), 210000n);
+    assert.equal(fields.maxFeePerGas.toBigInt(), 125000000n);
+    assert.equal(fields.maxPriorityFeePerGas.toBigInt(), 1000000000n);
+    assert.equal(fields.value.toBigInt(), 10n ** 18n);
+    assert.equal(fields.action.asCall.toHex(), TO);
+    assert.equal(fields.input.toHex(), '0x00fdd58e');
+    assert.equal(fields.accessList.length, 0);
+});
+
+test('builds a contract deployment without a recipient', () => {
+    const request = buildTransactRequest({
+        chainId: 1281,
+        nonce: 0,
+        data: '0x6080',
+        gasLimit: 500000,
+        maxFeePerGas: 1,
+        maxPriorityFeePerGas: 0
+    });
+    const fields = registry.createType('TransactionV2', request).asEip1559;
+
+    assert.ok(fields.action.isCreate);
+    assert.equal(fields.value.toBigInt(), 0n);
+});
@@ -0,0 +1,218 @@
+/**
+ * Sign-in end to end against the local verifier (scripts/verifier-server.js):
+ * messages signed by EVM wallets (EIP-191), Ethereum and ecdsa extension accounts
+ * (<Bytes>-wrapped signRaw), exchanged for a session and used for gated content
+ * Run with `npm test`
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { Keyring } from '@polkadot/keyring';
+import { hexToU8a, stringToU8a, u8aConcat, u8aToHex, u8aWrapBytes } from '@polkadot/util';
+import { cryptoWaitReady } from '@polkadot/util-crypto';
+import { createVerifierServer } from '../scripts/verifier-server.js';
+import { formatSignInMessage, parseSignInMessage } from '../src/sign-in-message.js';
+import { mapAccountToEvm } from '../src/address-mapping.js';
+
+const { ethers } = createRequire(import.meta.url)('ethers');
+
+const DOMAIN = 'localhost:5173';
+const CHAIN_ID = 1281;
+const SEED = '0x5fb92d6e98884f76de468fa3f6278f8807c48bebc13595d45af5bdc4da702133'; // Alith
+
+await cryptoWaitReady();
+
+// Accounts, each with the EVM address its passes are held by and how its wallet signs
+const evmWallet = new ethers.Wallet(SEED);
+const ethereumPair = new Keyring({ type: 'ethereum' }).addFromSeed(hexToU8a(SEED));
+const ecdsaPair = new Keyring({ type: 'ecdsa' }).addFromUri('//Alice');
+const sr25519Pair = new Keyring({ type: 'sr25519' }).addFromUri('//Alice');
+
+const ACCOUNTS = {
+    evm: {
+        address: evmWallet.address,
+        evmAddress: evmWallet.address,
+        sign: message => evmWallet.signMessage(message)
+    },
+    ethereum: {
+        address: ethereumPair.address,
+        evmAddress: ethereumPair.address,
+        sign: message => u8aToHex(ethereumPair.sign(u8aWrapBytes(stringToU8a(message))))
+    },
+    ecdsa: {
+        address: ecdsaPair.address,
+        evmAddress: mapAccountToEvm({ type: 'ecdsa', address: ecdsaPair.address, publicKey: ecdsaPair.publicKey }).evmAddress,
+        // Extensions return a MultiSignature: the crypto type byte (2 = ecdsa), then the signature
+        sign: message => u8aToHex(u8aConcat([2], ecdsaPair.sign(u8aWrapBytes(stringToU8a(message)))))
+    },
+    sr25519: {
+        address: sr25519Pair.address,
+        evmAddress: null,
+        sign: message => u8aToHex(u8aConcat([1], sr25519Pair.sign(u8aWrapBytes(stringToU8a(message)))))
+    }
+};
+
+// Pass balances the fake chain reports: owner (lowercase) -> content IDs held
+const holdings = new Map();
+const getBalances = async ({ owner, contentIds }) => {
+    const held = holdings.get(owner.toLowerCase()) || [];
+    return Object.fromEntries(contentIds.map(id => [id, held.includes(id) ? 1n : 0n]));
+};
+
+let server;
+let baseUrl;
+const { log } = console;
+
+test.before(async () => {
+    console.log = () => {}; // The verifier logs each sign-in
+    server = createVerifierServer({ domain: DOMAIN, chainId: CHAIN_ID, getBalances });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    console.log = log;
+    return new Promise(resolve => server.close(resolve));
+});
+
+async function request(path, { token, body } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: body ? 'POST' : 'GET',
+        headers,
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Sign a message for an account, with a fresh nonce from the verifier unless one is given
+ */
+async function signInMessage(account, fields = {}) {
+    const nonce = fields.nonce || (await request('/nonce')).body.nonce;
+    const issuedAt = fields.issuedAt || new Date();
+    const message = formatSignInMessage({
+        domain: DOMAIN,
+        address: account.address,
+        uri: `http://${DOMAIN}`,
+        chainId: CHAIN_ID,
+        contentIds: [1],
+        expirationTime: new Date(issuedAt.getTime() + 10 * 60 * 1000),
+        ...fields,
+        nonce,
+        issuedAt
+    });
+    return { message, signature: await account.sign(message) };
+}
+
+function assertError(response, status, code) {
+    assert.equal(response.status, status, JSON.stringify(response.body));
+    assert.equal(response.body.code, code);
+}
+
+test('formats and parses sign-in messages', () => {
+    const issuedAt = new Date('2026-10-19T08:00:00.000Z');
+    const fields = {
+        domain: DOMAIN,
+        address: ecdsaPair.address,
+        uri: `http://${DOMAIN}`,
+        chainId: CHAIN_ID,
+        nonce: 'AbCdEfGh1234',
+        contentIds: [1, 42],
+        issuedAt,
+        expirationTime: new Date(issuedAt.getTime() + 60000)
+    };
+    const parsed = parseSignInMessage(formatSignInMessage(fields));
+
+    assert.equal(parsed.accountType, 'substrate');
+    assert.equal(parsed.address, fields.address);
+    assert.equal(parsed.nonce, fields.nonce);
+    assert.deepEqual(parsed.contentIds, [1, 42]);
+    assert.equal(parsed.expirationTime.getTime(), fields.expirationTime.getTime());
+    assert.equal(parseSignInMessage(formatSignInMessage({ ...fields, address: evmWallet.address })).accountType, 'ethereum');
+
+    assert.throws(() => formatSignInMessage({ ...fields, nonce: 'short' }), { code: 'INVALID_MESSAGE' });
+    assert.throws(() => parseSignInMessage('Sign in please'), { code: 'INVALID_MESSAGE' });
+    assert.throws(() => parseSignInMessage(formatSignInMessage(fields).replace('Version: 1', 'Version: 2')), { code: 'INVALID_MESSAGE' });
+});
+
+for (const type of ['evm', 'ethereum', 'ecdsa']) {
+    test(`signs in with an ${type} account and reads gated content`, async () => {
+        const account = ACCOUNTS[type];
+        holdings.set(account.evmAddress.toLowerCase(), [1]);
+
+        const verified = await request('/verify', { body: await signInMessage(account) });
+        assert.equal(verified.status, 200, JSON.stringify(verified.body));
+        assert.equal(verified.body.session.evmAddress, account.evmAddress);
+        assert.deepEqual(verified.body.session.contentIds, [1]);
+
+        const { token } = verified.body;
+        assert.equal((await request('/session', { token })).body.session.address, account.address);
+        assert.deepEqual((await request('/access/1', { token })).body, { contentId: 1, evmAddress: account.evmAddress });
+
+        // Only the content signed for, and only while the pass is held
+        assertError(await request('/access/2', { token }), 403, 'NOT_OWNED');
+        holdings.delete(account.evmAddress.toLowerCase());
+        assertError(await request('/access/1', { token }), 403, 'NOT_OWNED');
+    });
+}
+
+test('refuses sr25519 accounts, which have no EVM address', async () => {
+    assertError(await request('/verify', { body: await signInMessage(ACCOUNTS.sr25519) }), 400, 'NO_EVM_ACCOUNT');
+});
+
+test('refuses content the account holds no pass for', async () => {
+    holdings.delete(ACCOUNTS.evm.evmAddress.toLowerCase());
+    const response = await request('/verify', { body: await signInMessage(ACCOUNTS.evm) });
+    assertError(response, 403, 'NOT_OWNED');
+    assert.deepEqual(response.body.details.missing, [1]);
+});
+
+test('refuses a signature from another account', async () => {
+    const { message } = await signInMessage(ACCOUNTS.ethereum);
+    const signature = await ACCOUNTS.ecdsa.sign(message);
+    assertError(await request('/verify', { body: { message, signature } }), 401, 'INVALID_SIGNATURE');
+
+    const forged = await signInMessage(ACCOUNTS.evm);
+    assertError(await request('/verify', { body: { ...forged, message: forged.message.replace('content:1', 'content:2') } }), 401, 'INVALID_SIGNATURE');
+});
+
+test('accepts each nonce once, and only nonces it issued', async () => {
+    holdings.set(ACCOUNTS.evm.evmAddress.toLowerCase(), [1]);
+    const signed = await signInMessage(ACCOUNTS.evm);
+    assert.equal((await request('/verify', { body: signed })).status, 200);
+    assertError(await request('/verify', { body: signed }), 401, 'INVALID_NONCE');
+
+    assertError(await request('/verify', { body: await signInMessage(ACCOUNTS.evm, { nonce: 'NeverIssued1' }) }), 401, 'INVALID_NONCE');
+});
+
+test('refuses expired, future and overlong messages', async () => {
+    const hour = 60 * 60 * 1000;
+    const past = new Date(Date.now() - 2 * hour);
+    assertError(await request('/verify', {
+        body: await signInMessage(ACCOUNTS.evm, { issuedAt: past, expirationTime: new Date(past.getTime() + hour) })
+    }), 401, 'EXPIRED');
+
+    const future = new Date(Date.now() + hour);
+    assertError(await request('/verify', { body: await signInMessage(ACCOUNTS.evm, { issuedAt: future }) }), 401, 'NOT_YET_VALID');
+
+    assertError(await request('/verify', {
+        body: await signInMessage(ACCOUNTS.evm, { expirationTime: new Date(Date.now() + 48 * hour) })
+    }), 400, 'LIFETIME_EXCEEDED');
+});
+
+test('refuses messages for another site or chain, and malformed requests', async () => {
+    assertError(await request('/verify', { body: await signInMessage(ACCOUNTS.evm, { domain: 'evil.example' }) }), 400, 'DOMAIN_MISMATCH');
+    assertError(await request('/verify', { body: await signInMessage(ACCOUNTS.evm, { chainId: 1284 }) }), 400, 'CHAIN_MISMATCH');
+    assertError(await request('/verify', { body: { message: 'Sign in please', signature: '0x00' } }), 400, 'INVALID_MESSAGE');
+    assertError(await request('/verify', { body: { message: 'no signature' } }), 400, 'INVALID_REQUEST');
+});
+
+test('requires a session token for gated content', async () => {
+    assertError(await request('/access/1'), 401, 'UNAUTHORIZED');
+    assertError(await request('/access/1', { token: 'not-a-token' }), 401, 'UNAUTHORIZED');
+    assertError(await request('/unknown'), 404, 'NOT_FOUND');
+});
@@ -16,7 +16,8 @@ export default defineConfig({
         main: resolve(__dirname, 'public/index.html'),
         library: resolve(__dirname, 'public/deck-library.html'),
         vault: resolve(__dirname, 'public/vault.html'),
-        reader: resolve(__dirname, 'public/reader.html')
+        reader: resolve(__dirname, 'public/reader.html'),
+        creator: resolve(__dirname, 'public/creator.html')
       }
     }
   },